@@ -1,5 +1,7 @@
 try { require('dotenv').config(); } catch (_) {}
 
+const fs = require('fs');
+const path = require('path');
 const http = require('http');
 const { URL } = require('url');
 const crypto = require('crypto');
@@ -7,52 +9,272 @@ const axios = require('axios');
 const TelegramBot = require('node-telegram-bot-api');
 const { ethers } = require('ethers');
 const { Connection, PublicKey } = require('@solana/web3.js');
+const QRCode = require('qrcode');
+const { bech32Decode, base58Check, legacyMessageKeys, keyMatchesAddress, bip322Verify, ed25519Verify } = require('./signatures');
 
 const TG_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const CHAT_ID = process.env.TELEGRAM_CHAT_ID;
 const PUBLIC_URL = process.env.PUBLIC_URL;
+const TRANSPORT = String(process.env.TELEGRAM_TRANSPORT || (PUBLIC_URL ? 'webhook' : 'polling')).toLowerCase();
 const PORT = Number(process.env.PORT || 10000);
+const STARTED_AT = Date.now();
+const SIMULATION = String(process.env.SIMULATION || 'false').toLowerCase() === 'true';
 
 const ADMIN_IDS = (process.env.ADMIN_IDS || '')
   .split(',').map(s => s.trim()).filter(Boolean).map(Number);
 
-const ADDR = {
-  BTC: process.env.ADDR_BTC || '',
-  ETH: process.env.ADDR_ETH || '',
-  BNB: process.env.ADDR_BNB || '',
-  SOL: process.env.ADDR_SOL || ''
+const CHAIN_PRESETS = {
+  BTC: { type: 'esplora', native: 'BTC', rpc: process.env.BTC_MEMPOOL_API || ['https://mempool.space/api', 'https://blockstream.info/api'], priceId: 'bitcoin', explorer: 'https://mempool.space', messagePrefix: 'Bitcoin Signed Message:\n', p2pkh: [0x00, 0x6f], addressPattern: /^(bc1|tb1|[13mn2])[a-zA-HJ-NP-Z0-9]{25,87}$/ },
+  LTC: { type: 'esplora', native: 'LTC', rpc: 'https://litecoinspace.org/api', priceId: 'litecoin', explorer: 'https://litecoinspace.org', messagePrefix: 'Litecoin Signed Message:\n', p2pkh: [0x30, 0x6f], addressPattern: /^(ltc1|tltc1|[LM3])[a-zA-HJ-NP-Z0-9]{25,87}$/ },
+  DOGE: { type: 'esplora', native: 'DOGE', rpc: '', priceId: 'dogecoin', messagePrefix: 'Dogecoin Signed Message:\n', p2pkh: [0x1e, 0x71], txUrl: 'https://blockchair.com/dogecoin/transaction/{txid}', addressUrl: 'https://blockchair.com/dogecoin/address/{address}', addressPattern: /^[DA9][1-9A-HJ-NP-Za-km-z]{25,34}$/ },
+  ETH: { type: 'evm', native: 'ETH', rpc: ['https://eth.llamarpc.com', 'https://ethereum-rpc.publicnode.com'], priceId: 'ethereum', explorer: 'https://etherscan.io' },
+  BNB: { type: 'evm', native: 'BNB', rpc: ['https://bsc-dataseed.binance.org', 'https://bsc-rpc.publicnode.com'], priceId: 'binancecoin', explorer: 'https://bscscan.com' },
+  POLYGON: { type: 'evm', native: 'POL', rpc: ['https://polygon-rpc.com', 'https://polygon-bor-rpc.publicnode.com'], priceId: 'polygon-ecosystem-token', explorer: 'https://polygonscan.com' },
+  BASE: { type: 'evm', native: 'ETH', rpc: ['https://mainnet.base.org', 'https://base-rpc.publicnode.com'], priceId: 'ethereum', explorer: 'https://basescan.org' },
+  ARB: { type: 'evm', native: 'ETH', rpc: ['https://arb1.arbitrum.io/rpc', 'https://arbitrum-one-rpc.publicnode.com'], priceId: 'ethereum', explorer: 'https://arbiscan.io' },
+  SOL: { type: 'solana', native: 'SOL', rpc: 'https://api.mainnet-beta.solana.com', priceId: 'solana', txUrl: 'https://solscan.io/tx/{txid}', addressUrl: 'https://solscan.io/account/{address}' }
 };
-
-const RPC = {
-  ETH: process.env.ETH_RPC || 'https://eth.llamarpc.com',
-  BNB: process.env.BNB_RPC || 'https://bsc-dataseed.binance.org',
-  SOL: process.env.SOL_RPC || 'https://api.mainnet-beta.solana.com',
-  BTC: process.env.BTC_MEMPOOL_API || 'https://mempool.space/api'
-};
-
-const CONF = {
-  BTC: Number(process.env.CONFIRMS_BTC || 1),
-  EVM: Number(process.env.CONFIRMS_EVM || 1),
-  SOL: Number(process.env.CONFIRMS_SOL || 1)
+const CHAIN_DEFAULTS = {
+  esplora: { pollMs: 20000, seedDelay: 2 },
+  evm: { pollMs: 12000, seedDelay: 20 },
+  solana: { pollMs: 20000 }
 };
+const CHAIN_CONFIG = (process.env.CHAINS || 'BTC,ETH,BNB,SOL')
+  .split(',').map(s => s.trim().toUpperCase()).filter(Boolean)
+  .map(key => {
+    const preset = CHAIN_PRESETS[key] || {};
+    const type = String(process.env[`${key}_TYPE`] || preset.type || '').toLowerCase();
+    const rpcs = [].concat(process.env[`${key}_RPC`] || preset.rpc || [])
+      .flatMap(s => String(s).split(',')).map(s => s.trim()).filter(Boolean);
+    return {
+      key,
+      type,
+      native: String(process.env[`${key}_NATIVE`] || preset.native || key).toUpperCase(),
+      rpc: rpcs[0] || '',
+      rpcs,
+      address: process.env[`ADDR_${key}`] || (SIMULATION ? `sim-${key.toLowerCase()}-pool` : ''),
+      confirms: Number(process.env[`CONFIRMS_${key}`] || (type === 'evm' && process.env.CONFIRMS_EVM) || 1),
+      priceId: process.env[`${key}_PRICE_ID`] || preset.priceId || null,
+      pollMs: Number(process.env[`${key}_POLL_MS`] || CHAIN_DEFAULTS[type]?.pollMs || 20000),
+      batchMax: Math.max(1, Number(process.env[`${key}_BATCH_MAX`] || process.env.EVM_BATCH_MAX || 50)),
+      concurrency: Math.max(1, Number(process.env[`${key}_CONCURRENCY`] || process.env.EVM_CONCURRENCY || 4)),
+      target: parseTarget(process.env[`${key}_TARGET`]),
+      txUrl: process.env[`${key}_TX_URL`] || preset.txUrl || (preset.explorer ? `${preset.explorer}/tx/{txid}` : ''),
+      addressUrl: process.env[`${key}_ADDRESS_URL`] || preset.addressUrl || (preset.explorer ? `${preset.explorer}/address/{address}` : ''),
+      addressPattern: preset.addressPattern || /^[a-zA-Z0-9]{25,90}$/,
+      messagePrefix: preset.messagePrefix || 'Bitcoin Signed Message:\n',
+      p2pkh: preset.p2pkh || [0x00, 0x6f]
+    };
+  })
+  .filter(c => {
+    if (!CHAIN_DEFAULTS[c.type]) console.error(`Chain ${c.key} skipped: set ${c.key}_TYPE to esplora, evm or solana`);
+    else if (!c.rpc && !SIMULATION) console.error(`Chain ${c.key} skipped: set ${c.key}_RPC`);
+    return CHAIN_DEFAULTS[c.type] && (c.rpc || SIMULATION);
+  });
+const NATIVE_ASSETS = [...new Set(CHAIN_CONFIG.map(c => c.native))];
 
 const ENABLE_WATCHERS = String(process.env.ENABLE_WATCHERS || 'true').toLowerCase() === 'true';
 
 let ENTRY_USD = Number(process.env.ENTRY_USD || 50);
 let ROUND_TARGET_USD = Number(process.env.ROUND_TARGET_USD || 2000);
 let ENTRY_TOL = Math.max(0, Math.min(0.5, Number(process.env.ENTRY_TOLERANCE_PCT || 0.10)));
-let PAYOUT_PCT = Math.max(0.10, Math.min(1.00, Number(process.env.PAYOUT_PCT || 0.50)));
+function parseTiers(text) {
+  const tiers = String(text || '').split(/[,/]/).map(s => Number(s.trim())).filter(n => n > 0);
+  const total = tiers.reduce((a, n) => a + n, 0);
+  return tiers.length && total >= 0.10 && total <= 1 ? tiers : null;
+}
+function parseTarget(text) {
+  const m = /^\s*(\$)?\s*([0-9]+(?:\.[0-9]+)?)\s*(usd)?\s*$/i.exec(String(text || ''));
+  if (!m || !(Number(m[2]) > 0)) return null;
+  return { amount: Number(m[2]), unit: m[1] || m[3] ? 'usd' : 'native' };
+}
+let PRIZE_TIERS = parseTiers(process.env.PRIZE_TIERS) || [Math.max(0.10, Math.min(1.00, Number(process.env.PAYOUT_PCT || 0.50)))];
 
 const PROOF_AUTO = String(process.env.PROOF_AUTO || 'false').toLowerCase() === 'true';
-const PROOF_REMINDER_MIN = Number(process.env.PROOF_REMINDER_MIN || 30);
+const PROOF_REMINDER_MIN = Math.max(1, Number(process.env.PROOF_REMINDER_MIN || 30));
+const PAYOUT_SLA_H = Math.max(1, Number(process.env.PAYOUT_SLA_H || 24));
+const CLAIM_WINDOW_H = Math.max(0, Number(process.env.CLAIM_WINDOW_H ?? 0));
+const LINK_MAX = Math.max(1, Number(process.env.LINK_MAX || 5));
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+function parseUtcTime(text) {
+  const m = /^\s*(?:(sun|mon|tue|wed|thu|fri|sat)\w*\s+)?([01]?\d|2[0-3]):([0-5]\d)\s*$/i.exec(String(text || ''));
+  if (!m) return null;
+  return { day: m[1] ? WEEKDAYS.findIndex(d => d.toLowerCase() === m[1].toLowerCase()) : null, hour: Number(m[2]), minute: Number(m[3]) };
+}
+function utcTimeText(t) {
+  return `${t.day == null ? '' : `${WEEKDAYS[t.day]} `}${String(t.hour).padStart(2, '0')}:${String(t.minute).padStart(2, '0')} UTC`;
+}
+const DAILY_SUMMARY_UTC = { ...(parseUtcTime(process.env.DAILY_SUMMARY_UTC) || { hour: 0, minute: 0 }), day: null };
+const WEEKLY_RECAP_UTC = process.env.WEEKLY_RECAP_UTC
+  ? (t => t && { ...t, day: t.day ?? 1 })(parseUtcTime(process.env.WEEKLY_RECAP_UTC))
+  : null;
+const TWO_ADMIN_APPROVAL = String(process.env.TWO_ADMIN_APPROVAL || 'true').toLowerCase() === 'true';
+const APPROVAL_TTL_MIN = Math.max(1, Number(process.env.APPROVAL_TTL_MIN || 60));
+const PARTIAL_CREDIT = String(process.env.PARTIAL_CREDIT || 'false').toLowerCase() === 'true';
+const PAYOUT_TOL = Math.max(0, Math.min(0.5, Number(process.env.PAYOUT_TOLERANCE_PCT || 0.05)));
 const PRICE_SOURCE = process.env.PRICE_SOURCE || 'https://api.coingecko.com/api/v3/simple/price';
-const DEFAULT_PROOF = process.env.PROOF_MESSAGE || 'Latest Proof of Payout\n(Share latest TX link + winner here)\nVerified on-chain.';
+const PRICE_CUSTOM_URL = process.env.PRICE_CUSTOM_URL || '';
+const PRICE_PROVIDERS = SIMULATION ? ['sim'] : [...new Set([
+  ...(process.env.PRICE_PROVIDERS || 'coingecko,binance,kraken').split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+  ...(PRICE_CUSTOM_URL ? ['custom'] : [])
+])];
+const SIM_PRICES = { BTC: 60000, LTC: 80, DOGE: 0.15, ETH: 3000, BNB: 600, POL: 0.5, SOL: 150, USDT: 1, USDC: 1, DAI: 1, FDUSD: 1, BUSD: 1 };
+for (const pair of String(process.env.SIM_PRICES || '').split(',')) {
+  const [sym, usd] = pair.split('=');
+  if (Number(usd) > 0) SIM_PRICES[sym.trim().toUpperCase()] = Number(usd);
+}
+const PRICE_MAX_AGE_SEC = Number(process.env.PRICE_MAX_AGE_SEC || 300);
+const PRICE_MIN_SOURCES = Math.max(1, Number(process.env.PRICE_MIN_SOURCES || 1));
+const DEFAULT_PROOF = process.env.PROOF_MESSAGE || '';
+const STABLE_PRICING = (process.env.STABLE_PRICING || 'peg').toLowerCase();
+const STABLECOINS = new Set(['USDT', 'USDC', 'DAI', 'FDUSD', 'BUSD']);
+const TOKEN_PRICE_IDS = { USDT: 'tether', USDC: 'usd-coin', DAI: 'dai', FDUSD: 'first-digital-usd', BUSD: 'binance-usd' };
+const DEFAULT_EVM_TOKENS = [
+  'ETH:USDT:0xdAC17F958D2ee523a2206206994597C13D831ec7:6',
+  'ETH:USDC:0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48:6',
+  'BNB:USDT:0x55d398326f99059fF775485246999027B3197955:18',
+  'BNB:USDC:0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d:18',
+  'POLYGON:USDC:0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359:6',
+  'BASE:USDC:0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913:6',
+  'ARB:USDC:0xaf88d065e77c8cC2239327C5EDb3A432268e5831:6'
+].join(',');
+const EVM_TOKENS = (process.env.EVM_TOKENS ?? DEFAULT_EVM_TOKENS)
+  .split(',').map(s => s.trim()).filter(Boolean)
+  .map(s => {
+    const [chain, symbol, address, decimals, priceId] = s.split(':').map(x => x.trim());
+    return {
+      chain: String(chain).toUpperCase(),
+      symbol: String(symbol).toUpperCase(),
+      address,
+      decimals: decimals ? Number(decimals) : null,
+      priceId: priceId || TOKEN_PRICE_IDS[String(symbol).toUpperCase()] || null
+    };
+  })
+  .filter(t => CHAIN_CONFIG.some(c => c.key === t.chain && c.type === 'evm') && ethers.isAddress(t.address));
+const DEFAULT_SPL_TOKENS = [
+  'USDC:EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v:6',
+  'USDT:Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB:6'
+].join(',');
+const SPL_TOKENS = (process.env.SPL_TOKENS ?? DEFAULT_SPL_TOKENS)
+  .split(',').map(s => s.trim()).filter(Boolean)
+  .map(s => {
+    const [symbol, mint, decimals, priceId] = s.split(':').map(x => x.trim());
+    return {
+      chain: 'SOL',
+      symbol: String(symbol).toUpperCase(),
+      mint,
+      decimals: decimals ? Number(decimals) : null,
+      priceId: priceId || TOKEN_PRICE_IDS[String(symbol).toUpperCase()] || null
+    };
+  })
+  .filter(t => CHAIN_CONFIG.some(c => c.key === t.chain && c.type === 'solana'))
+  .filter(t => { try { return !!new PublicKey(t.mint); } catch (_) { return false; } });
+const SEED_CONFIG = CHAIN_CONFIG.find(c => c.key === String(process.env.DRAW_SEED_CHAIN || 'BTC').toUpperCase() && c.type !== 'solana')
+  || CHAIN_CONFIG.find(c => c.type !== 'solana');
+const DRAW_SEED_CHAIN = SEED_CONFIG?.key;
+const DRAW_DELAY_BLOCKS = Math.max(1, Number(process.env.DRAW_DELAY_BLOCKS || CHAIN_DEFAULTS[SEED_CONFIG?.type]?.seedDelay || 2));
+let ROUND_MODE = String(process.env.ROUND_MODE || 'combined').toLowerCase() === 'per-chain' ? 'per-chain' : 'combined';
+const ROUND_DURATION_H = Math.max(0, Number(process.env.ROUND_DURATION_H || 0));
+const ROUND_MIN_ENTRANTS = Math.max(1, Number(process.env.ROUND_MIN_ENTRANTS || 1));
+const ROUND_DEADLINE_POLICY = ['draw', 'extend', 'refund'].includes(String(process.env.ROUND_DEADLINE_POLICY).toLowerCase())
+  ? String(process.env.ROUND_DEADLINE_POLICY).toLowerCase()
+  : 'extend';
+const ROUND_EXTEND_H = Math.max(1, Number(process.env.ROUND_EXTEND_H || ROUND_DURATION_H || 24));
+const ROUND_MAX_EXTENSIONS = Math.max(0, Number(process.env.ROUND_MAX_EXTENSIONS ?? 3));
+const ROUND_WARN_H = (process.env.ROUND_WARN_H || '24,1').split(',').map(Number).filter(h => h > 0).sort((a, b) => b - a);
+const ENTRY_RECHECK_MIN = Math.max(1, Number(process.env.ENTRY_RECHECK_MIN || 10));
+const ENTRY_GONE_CHECKS = Math.max(1, Number(process.env.ENTRY_GONE_CHECKS || 3));
+const DRAW_POLL_MS = Math.max(100, Number(process.env.DRAW_POLL_MS || 30000));
+const WATCHER_ALERT_ERRORS = Math.max(1, Number(process.env.WATCHER_ALERT_ERRORS || 5));
+const WATCHER_STALE_MIN = Math.max(1, Number(process.env.WATCHER_STALE_MIN || 15));
+const RPC_BACKOFF_MAX_SEC = Math.max(1, Number(process.env.RPC_BACKOFF_MAX_SEC || 300));
+// Simulation state lives in memory only, so a rehearsal can never read or overwrite a production snapshot.
+const DATA_FILE = SIMULATION ? null : process.env.DATA_FILE || path.join(__dirname, 'data', 'vault50.json');
+const STATE_SAVE_MS = Math.max(0, Number(process.env.STATE_SAVE_MS ?? 1000));
+// The catalogs cover what entrants and the channel read. Replies to admin-only commands and alerts to admins are
+// deliberately English-only: they quote raw ledger, RPC and config fields and are not shown to entrants.
+const LOCALE_DIR = path.join(__dirname, 'locales');
+const MESSAGES = Object.fromEntries(fs.readdirSync(LOCALE_DIR).filter(f => f.endsWith('.json'))
+  .map(f => [path.basename(f, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALE_DIR, f), 'utf8'))]));
+const LANGS = Object.keys(MESSAGES).sort();
+function langCode(v, fallback) {
+  const code = String(v || '').slice(0, 2).toLowerCase();
+  return MESSAGES[code] ? code : fallback;
+}
+const DEFAULT_LANG = langCode(process.env.DEFAULT_LANG, 'en');
+const CHANNEL_LANG = langCode(process.env.CHANNEL_LANG, DEFAULT_LANG);
+// Deposit QR codes are rendered locally; QR_URL hands every pool address to an external renderer instead.
+const ENABLE_QR = String(process.env.ENABLE_QR || 'true').toLowerCase() === 'true';
+const QR_URL = process.env.QR_URL || '';
 
-if (!TG_TOKEN) { console.error('Missing TELEGRAM_BOT_TOKEN'); process.exit(1); }
+if (!TG_TOKEN && !SIMULATION) { console.error('Missing TELEGRAM_BOT_TOKEN'); process.exit(1); }
+if (TRANSPORT !== 'webhook' && TRANSPORT !== 'polling') { console.error('TELEGRAM_TRANSPORT must be webhook or polling'); process.exit(1); }
+if (TRANSPORT === 'webhook' && !PUBLIC_URL && !SIMULATION) { console.error('TELEGRAM_TRANSPORT=webhook needs PUBLIC_URL'); process.exit(1); }
+if (!DRAW_SEED_CHAIN) { console.error('DRAW_SEED_CHAIN needs a configured esplora or EVM chain'); process.exit(1); }
 
-const bot = new TelegramBot(TG_TOKEN);
-const webhookPath = `/telegram/${encodeURIComponent(TG_TOKEN)}`;
+// Stand-in for TelegramBot in simulation: updates come in through processUpdate and every send is recorded, nothing leaves the process.
+function makeSimBot() {
+  const textHandlers = [];
+  const listeners = {};
+  const outbox = [];
+  let nextId = 1;
+  const emit = (event, ...args) => (listeners[event] || []).forEach(fn => fn(...args));
+  const record = async (method, chatId, body, opts = {}) => {
+    const message = { id: nextId++, at: Date.now(), method, chatId: String(chatId), ...body, opts };
+    outbox.push(message);
+    if (outbox.length > 1000) outbox.shift();
+    return { message_id: message.id, chat: { id: chatId } };
+  };
+  return {
+    outbox,
+    onText(re, fn) { textHandlers.push([re, fn]); },
+    on(event, fn) { (listeners[event] ||= []).push(fn); },
+    sendMessage: (chatId, text, opts) => record('sendMessage', chatId, { text: String(text) }, opts),
+    sendPhoto: (chatId, photo, opts) => record('sendPhoto', chatId, { photo: Buffer.isBuffer(photo) ? `png, ${photo.length} bytes` : photo }, opts),
+    async answerCallbackQuery() { return true; },
+    async getChatMember(chatId, userId) { return { status: isAdmin(userId) ? 'administrator' : 'member' }; },
+    async setWebHook() { return true; },
+    async deleteWebHook() { return true; },
+    startPolling() {},
+    processUpdate(update) {
+      if (update.callback_query) return emit('callback_query', update.callback_query);
+      const msg = update.message;
+      if (!msg) return;
+      emit('message', msg);
+      if (msg.new_chat_members) emit('new_chat_members', msg);
+      if (typeof msg.text !== 'string') return;
+      for (const [re, fn] of textHandlers) {
+        const m = re.exec(msg.text);
+        if (m) fn(msg, m);
+      }
+    }
+  };
+}
+const bot = SIMULATION ? makeSimBot() : new TelegramBot(TG_TOKEN);
+const webhookPath = process.env.WEBHOOK_PATH || '/telegram';
 const fullWebhook = `${PUBLIC_URL}${webhookPath}`;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || crypto.createHash('sha256').update(`webhook:${TG_TOKEN}`).digest('hex');
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES || 1024 * 1024);
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+}
+function validSecret(header) {
+  const got = Buffer.from(String(header || ''));
+  const want = Buffer.from(WEBHOOK_SECRET);
+  return got.length === want.length && crypto.timingSafeEqual(got, want);
+}
+const API_ROUTES = [
+  [/^\/api\/round$/, (m, u) => apiRound(u.searchParams.get('chain'))],
+  [/^\/api\/entries$/, (m, u) => apiEntries(u.searchParams.get('round'), u.searchParams.get('chain'))],
+  [/^\/api\/draws\/(?:([A-Za-z]+)\/)?(\d+)$/, m => apiDraw(parsePot(m[1]), Number(m[2]))],
+  [/^\/api\/wallets$/, () => apiWallets()]
+];
 
 const server = http.createServer(async (req, res) => {
   const u = new URL(req.url, `http://localhost:${PORT}`);
@@ -60,18 +282,54 @@ const server = http.createServer(async (req, res) => {
     res.writeHead(200, { 'Content-Type': 'text/plain' });
     return res.end('Vault50Bot OK');
   }
-  if (req.method === 'POST' && u.pathname === webhookPath) {
-    let body = '';
-    req.on('data', c => (body += c));
+  if (req.method === 'GET' && u.pathname === '/healthz') {
+    const report = healthReport();
+    return sendJson(res, report.ok ? 200 : 503, report);
+  }
+  if (req.method === 'GET' && u.pathname === '/metrics') {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4', 'Cache-Control': 'no-store' });
+    return res.end(metricsText());
+  }
+  if (SIMULATION && req.method === 'GET' && u.pathname === '/sim/outbox') {
+    const chat = u.searchParams.get('chat');
+    const since = Number(u.searchParams.get('since') || 0);
+    return sendJson(res, 200, { ok: true, messages: bot.outbox.filter(m => m.id > since && (!chat || m.chatId === chat)) });
+  }
+  if (u.pathname.startsWith('/api/')) {
+    if (req.method !== 'GET') return sendJson(res, 405, { ok: false, error: 'read-only API' });
+    for (const [re, handler] of API_ROUTES) {
+      const m = re.exec(u.pathname);
+      if (!m) continue;
+      try {
+        const body = handler(m, u);
+        return body ? sendJson(res, 200, body) : sendJson(res, 404, { ok: false, error: 'not found' });
+      } catch (e) {
+        console.error('API error:', e?.message);
+        return sendJson(res, 500, { ok: false, error: 'internal error' });
+      }
+    }
+    return sendJson(res, 404, { ok: false, error: 'unknown endpoint' });
+  }
+  if ((TRANSPORT === 'webhook' || SIMULATION) && req.method === 'POST' && u.pathname === webhookPath) {
+    if (!SIMULATION && !validSecret(req.headers['x-telegram-bot-api-secret-token'])) return sendJson(res, 401, { ok: false });
+    if (Number(req.headers['content-length'] || 0) > MAX_BODY_BYTES) return sendJson(res, 413, { ok: false });
+    const chunks = [];
+    let size = 0;
+    req.on('data', c => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) {
+        sendJson(res, 413, { ok: false });
+        req.destroy();
+      } else chunks.push(c);
+    });
     req.on('end', () => {
+      if (size > MAX_BODY_BYTES) return;
       try {
-        const update = JSON.parse(body);
+        const update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
         bot.processUpdate(update);
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true }));
+        sendJson(res, 200, { ok: true });
       } catch (e) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: false, error: e.message }));
+        sendJson(res, 400, { ok: false, error: e.message });
       }
     });
     return;
@@ -82,49 +340,227 @@ const server = http.createServer(async (req, res) => {
 
 server.listen(PORT, async () => {
   console.log('Listening on', PORT);
-  try {
-    await bot.setWebHook(fullWebhook);
-    console.log('Webhook set ->', fullWebhook);
-  } catch (e) {
-    console.log('Failed to set webhook:', e.message || e);
+  if (SIMULATION) {
+    console.log(`SIMULATION: fake chains and prices, state in memory only; POST updates to ${webhookPath}, read replies at /sim/outbox`);
+  } else if (TRANSPORT === 'polling') {
+    try { await bot.deleteWebHook(); }
+    catch (e) { console.log('Failed to delete webhook:', e.message || e); }
+    bot.on('polling_error', e => console.error('Polling error:', e?.message));
+    bot.startPolling();
+    console.log('Telegram updates via long polling');
+  } else {
+    try {
+      await bot.setWebHook(fullWebhook, { secret_token: WEBHOOK_SECRET });
+      console.log('Webhook set ->', fullWebhook);
+    } catch (e) {
+      console.log('Failed to set webhook:', e.message || e);
+    }
   }
-  console.log(`Watchers: ${ENABLE_WATCHERS ? 'ON' : 'OFF (webhook-only). Use /pool to view totals.'}`);
+  console.log(`Chains: ${COINS.join(', ')} (draw seed ${DRAW_SEED_CHAIN})`);
+  if (TWO_ADMIN_APPROVAL && ADMIN_IDS.length < 2) console.log('Two-admin approval is off: set at least two ADMIN_IDS');
+  console.log(`Watchers: ${ENABLE_WATCHERS ? 'ON' : 'OFF (commands only). Use /pool to view totals.'}`);
 });
 
 function fmt(n, d = 8) {
   const out = Number(n).toFixed(d);
   return out.replace(/\.?0+$/, '');
 }
+class Html {
+  constructor(s) { this.s = s; }
+  toString() { return this.s; }
+}
+// Entities that are already escaped pass through, so nested translations are not escaped twice.
+function escapeHtml(s) {
+  return String(s).replace(/&(?!(?:amp|lt|gt|quot);)/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+function explorerLink(template, vars, text, html) {
+  if (!html) return String(text);
+  if (!template || !text || text === 'unknown') return new Html(escapeHtml(text));
+  const href = template.replace(/\{(\w+)\}/g, (m, k) => encodeURIComponent(vars[k]));
+  return new Html(`<a href="${escapeHtml(href)}">${escapeHtml(text)}</a>`);
+}
+async function qrPhoto(data) {
+  if (QR_URL) return QR_URL.replace('{data}', encodeURIComponent(data));
+  return QRCode.toBuffer(data, { type: 'png', width: 300, margin: 2 });
+}
+function t(lang, key, vars = {}, html = false) {
+  const template = MESSAGES[lang]?.[key] ?? MESSAGES.en?.[key] ?? key;
+  return (html ? escapeHtml(template) : template).replace(/\{(\w+)\}/g, (m, k) => {
+    if (vars[k] === undefined) return m;
+    return html && !(vars[k] instanceof Html) ? escapeHtml(vars[k]) : String(vars[k]);
+  });
+}
+const bundles = {};
+function i18n(lang = DEFAULT_LANG, html = false) {
+  if (!MESSAGES[lang]) lang = DEFAULT_LANG;
+  const id = html ? `${lang}:html` : lang;
+  if (bundles[id]) return bundles[id];
+  const locale = MESSAGES[lang]._locale || lang;
+  const percent = new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 1 });
+  const when = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' });
+  const day = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' });
+  const either = new Intl.ListFormat(locale, { type: 'disjunction' });
+  return bundles[id] = {
+    lang,
+    t: (key, vars) => t(lang, key, vars, html),
+    esc: s => (html ? escapeHtml(s) : String(s)),
+    tx: (chain, txid) => explorerLink(CHAINS[chain]?.txUrl, { txid }, txid, html),
+    addr: (chain, address) => explorerLink(CHAINS[chain]?.addressUrl, { address }, address, html),
+    usd: (n, d = 2) => new Intl.NumberFormat(locale, { style: 'currency', currency: 'USD', maximumFractionDigits: d }).format(Number(n)),
+    num: (n, d = 8) => new Intl.NumberFormat(locale, { maximumFractionDigits: d }).format(Number(n)),
+    pct: n => percent.format(n),
+    date: ms => `${when.format(new Date(ms))} UTC`,
+    day: ms => day.format(new Date(ms)),
+    or: list => either.format(list)
+  };
+}
+function chatLang(msg) {
+  if (langs[msg.chat.id]) return langs[msg.chat.id];
+  return msg.chat.type === 'private' ? langCode(msg.from?.language_code, DEFAULT_LANG) : DEFAULT_LANG;
+}
+function channelLang() { return langs[CHAT_ID] || CHANNEL_LANG; }
+function payoutShare() { return PRIZE_TIERS.reduce((a, n) => a + n, 0); }
+function tiersText(tiers = PRIZE_TIERS, L = i18n('en')) { return tiers.map(n => L.pct(n)).join(' / '); }
+function prizeText(L) {
+  return PRIZE_TIERS.length > 1
+    ? L.t('prize.many', { count: PRIZE_TIERS.length, tiers: tiersText(PRIZE_TIERS, L) })
+    : L.t('prize.one', { tiers: tiersText(PRIZE_TIERS, L) });
+}
+const HTML = { parse_mode: 'HTML', disable_web_page_preview: true };
 async function postToChannel(text, extra = {}) {
   if (!CHAT_ID) return;
-  try { await bot.sendMessage(CHAT_ID, text, { disable_web_page_preview: true, ...extra }); }
-  catch (e) { console.error('Telegram send error:', e?.message); }
+  text = typeof text === 'function' ? text(i18n(channelLang(), true)) : escapeHtml(text);
+  try { await bot.sendMessage(CHAT_ID, text, { ...HTML, ...extra }); }
+  catch (e) { sendFailed('Telegram send', e); }
+}
+async function sendLong(chatId, lines, extra = {}) {
+  const chunks = [''];
+  for (const line of lines) {
+    if (chunks[chunks.length - 1].length + line.length + 1 > 3900) chunks.push('');
+    chunks[chunks.length - 1] += (chunks[chunks.length - 1] ? '\n' : '') + line;
+  }
+  for (const chunk of chunks) await bot.sendMessage(chatId, chunk, { disable_web_page_preview: true, ...extra });
 }
 function isAdmin(id) { return ADMIN_IDS.includes(id); }
+function adminRef(from) {
+  return { id: from.id, name: from.username ? `@${from.username}` : `${from.first_name || 'admin'} (${from.id})` };
+}
+function sendFailed(what, e) {
+  metrics.telegramErrors++;
+  console.error(`${what} error:`, e?.message);
+}
+async function notifyAdmins(text, except = null) {
+  for (const id of ADMIN_IDS.filter(id => id !== except)) {
+    try { await bot.sendMessage(id, text, { disable_web_page_preview: true }); }
+    catch (e) { sendFailed('Admin DM', e); }
+  }
+}
+function sameAddr(a, b) {
+  if (!a || !b) return false;
+  return a.startsWith('0x') ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
 
-const providerETH = new ethers.JsonRpcProvider(RPC.ETH);
-const providerBNB = new ethers.JsonRpcProvider(RPC.BNB);
-const solConn = new Connection(RPC.SOL, 'confirmed');
+const ERC20_ABI = ['function balanceOf(address) view returns (uint256)', 'function decimals() view returns (uint8)'];
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const SPL_TOKEN_PROGRAM = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const ASSOCIATED_TOKEN_PROGRAM = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+const ROOTED_CONFIRMATIONS = 32;
 
-let priceCache = { ts: 0, data: { BTC: 0, ETH: 0, BNB: 0, SOL: 0 } };
-async function refreshPrices() {
-  try {
+const COINGECKO_IDS = Object.fromEntries(CHAIN_CONFIG.filter(c => c.priceId).map(c => [c.native, c.priceId]));
+const BINANCE_PAIRS = { BTC: 'BTCUSDT', ETH: 'ETHUSDT', BNB: 'BNBUSDT', SOL: 'SOLUSDT', LTC: 'LTCUSDT', DOGE: 'DOGEUSDT', POL: 'POLUSDT' };
+const KRAKEN_PAIRS = { BTC: 'XBTUSD', ETH: 'ETHUSD', SOL: 'SOLUSD', LTC: 'LTCUSD', DOGE: 'XDGUSD', POL: 'POLUSD' };
+function exchangePairs(table) {
+  return Object.fromEntries(NATIVE_ASSETS.filter(sym => table[sym]).map(sym => [sym, table[sym]]));
+}
+const PRICE_FETCHERS = {
+  async coingecko() {
+    const tokens = [...EVM_TOKENS, ...SPL_TOKENS].filter(t => t.priceId);
+    const ids = [...new Set([...Object.values(COINGECKO_IDS), ...tokens.map(t => t.priceId)])];
     const { data } = await axios.get(PRICE_SOURCE, {
-      params: { ids: 'bitcoin,ethereum,binancecoin,solana', vs_currencies: 'usd' },
+      params: { ids: ids.join(','), vs_currencies: 'usd' },
       timeout: 10000
     });
-    priceCache = {
-      ts: Date.now(),
-      data: {
-        BTC: data.bitcoin?.usd || 0,
-        ETH: data.ethereum?.usd || 0,
-        BNB: data.binancecoin?.usd || 0,
-        SOL: data.solana?.usd || 0
-      }
-    };
-  } catch (_) {}
+    const out = {};
+    for (const [sym, id] of Object.entries(COINGECKO_IDS)) out[sym] = data[id]?.usd;
+    for (const t of tokens) out[t.symbol] = data[t.priceId]?.usd;
+    return out;
+  },
+  async binance() {
+    const pairs = exchangePairs(BINANCE_PAIRS);
+    if (!Object.keys(pairs).length) return {};
+    const { data } = await axios.get('https://api.binance.com/api/v3/ticker/price', {
+      params: { symbols: JSON.stringify(Object.values(pairs)) },
+      timeout: 10000
+    });
+    const byPair = Object.fromEntries((data || []).map(d => [d.symbol, Number(d.price)]));
+    return Object.fromEntries(Object.entries(pairs).map(([sym, pair]) => [sym, byPair[pair]]));
+  },
+  async kraken() {
+    const pairs = exchangePairs(KRAKEN_PAIRS);
+    if (!Object.keys(pairs).length) return {};
+    const { data } = await axios.get('https://api.kraken.com/0/public/Ticker', {
+      params: { pair: Object.values(pairs).join(',') },
+      timeout: 10000
+    });
+    if (data.error?.length) throw new Error(data.error.join(', '));
+    const byPair = {};
+    for (const [k, v] of Object.entries(data.result || {})) byPair[k.replace(/^X(\w{3})ZUSD$/, '$1USD')] = Number(v?.c?.[0]);
+    return Object.fromEntries(Object.entries(pairs).map(([sym, pair]) => [sym, byPair[pair]]));
+  },
+  async sim() { return { ...SIM_PRICES }; },
+  async custom() {
+    const { data } = await axios.get(PRICE_CUSTOM_URL, { timeout: 10000 });
+    const out = {};
+    for (const [k, v] of Object.entries(data || {})) out[k.toUpperCase()] = Number(typeof v === 'object' ? v?.usd : v);
+    return out;
+  }
+};
+
+const priceQuotes = {};
+let lastPriceRefresh = 0;
+function median(values) {
+  const v = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+function pricedSymbols() {
+  return [...new Set([...NATIVE_ASSETS, ...[...EVM_TOKENS, ...SPL_TOKENS].map(t => t.symbol)])];
+}
+function isPegged(symbol) { return STABLE_PRICING === 'peg' && STABLECOINS.has(symbol); }
+let priceRefresh = null;
+function refreshPrices() {
+  if (!priceRefresh) priceRefresh = fetchAllPrices().finally(() => { priceRefresh = null; });
+  return priceRefresh;
+}
+async function fetchAllPrices() {
+  lastPriceRefresh = Date.now();
+  const results = await Promise.all(PRICE_PROVIDERS.map(async name => {
+    try { return [name, await PRICE_FETCHERS[name]()]; }
+    catch (e) {
+      metrics.priceErrors[name] = (metrics.priceErrors[name] || 0) + 1;
+      console.error(`Price source ${name} failed:`, e?.message);
+      return [name, {}];
+    }
+  }));
+  const now = Date.now();
+  for (const sym of pricedSymbols()) {
+    if (isPegged(sym)) continue;
+    const sources = {};
+    for (const [name, data] of results) if (Number(data[sym]) > 0) sources[name] = Number(data[sym]);
+    if (Object.keys(sources).length >= PRICE_MIN_SOURCES) {
+      priceQuotes[sym] = { usd: median(Object.values(sources)), sources, ts: now };
+    }
+  }
+}
+function priceQuote(symbol) {
+  if (isPegged(symbol)) return { usd: 1, sources: { peg: 1 }, ts: Date.now() };
+  const q = priceQuotes[symbol];
+  return q && Date.now() - q.ts <= PRICE_MAX_AGE_SEC * 1000 ? q : null;
+}
+async function getPrices() {
+  if (priceRefresh || Date.now() - lastPriceRefresh > 60000) await refreshPrices();
+  return Object.fromEntries(pricedSymbols().map(sym => [sym, priceQuote(sym)?.usd || 0]));
 }
-async function getPrices() { if ((Date.now() - priceCache.ts) > 60000) await refreshPrices(); return priceCache.data; }
 function toUSD(symbol, amount, px) { const p = px[symbol] || 0; return Number((amount * p).toFixed(2)); }
 function ticketsForUSD(usd, entryUsd = ENTRY_USD, tol = ENTRY_TOL) {
   if (usd < entryUsd * (1 - tol)) return 0;
@@ -140,518 +576,2981 @@ function ticketsForUSD(usd, entryUsd = ENTRY_USD, tol = ENTRY_TOL) {
   return 0;
 }
 
-const COINS = ['BTC', 'ETH', 'BNB', 'SOL'];
+async function tokenDecimals(token, provider) {
+  if (token.decimals == null) {
+    token.decimals = Number(await new ethers.Contract(token.address, ERC20_ABI, provider).decimals());
+  }
+  return token.decimals;
+}
+async function tokenBalance(token, provider, owner) {
+  const raw = await new ethers.Contract(token.address, ERC20_ABI, provider).balanceOf(owner);
+  return Number(ethers.formatUnits(raw, await tokenDecimals(token, provider)));
+}
+async function fetchTokenBalances() {
+  return Promise.all(Object.values(CHAINS).filter(c => c.address).flatMap(c => c.tokens.map(async t => ({
+    ...t,
+    balance: await c.balance(t.symbol).catch(() => null)
+  }))));
+}
+function tokenBalanceLines(balances, L = i18n('en')) {
+  return balances.map(t => `${t.symbol} (${t.chain}): ${t.balance == null ? L.t('common.na') : `${L.num(t.balance, 2)} ${t.symbol}`}`);
+}
+async function poolBalanceLines(L = i18n('en')) {
+  const active = Object.values(CHAINS).filter(c => c.address);
+  const [natives, tokenBalances] = await Promise.all([
+    Promise.all(active.map(c => c.balance(c.native).catch(() => null))),
+    fetchTokenBalances()
+  ]);
+  return [
+    ...active.map((c, i) => `${c.key}: ${natives[i] == null ? L.t('common.na') : `${L.num(natives[i], c.digits)} ${c.native}`}`),
+    ...tokenBalanceLines(tokenBalances, L)
+  ];
+}
+
+const COINS = CHAIN_CONFIG.map(c => c.key);
 const rounds = COINS.reduce((acc, s) => (acc[s] = { id: 1, entries: [], startedAt: Date.now(), winner: null, proof: null }, acc), {});
-const grand = { usdTotal: 0 };
-function newRoundAll() {
+const draws = {};
+const seen = new Set();
+const checkpoints = {};
+const chainHealth = {};
+const metrics = { telegramErrors: 0, priceErrors: {}, drawErrors: 0 };
+const queuedEntries = [];
+const roundHistory = [];
+const links = {};
+const pendingDeposits = [];
+const unconfirmedDeposits = [];
+const roundClocks = {};
+const ledger = [];
+const configOverrides = {};
+const configLog = [];
+const approvals = [];
+const scheduleRuns = {};
+const langs = {};
+
+const ALL_POT = 'ALL';
+function potKeys() { return ROUND_MODE === 'per-chain' ? COINS : [ALL_POT]; }
+function potOf(symbol) { return ROUND_MODE === 'per-chain' ? symbol : ALL_POT; }
+function potCoins(pot) { return pot === ALL_POT ? COINS : [pot]; }
+function potName(pot, L = i18n('en')) { return pot === ALL_POT ? L.t('pot.usd') : L.t('pot.chain', { chain: pot }); }
+function roundRef(pot, roundId) { return pot === ALL_POT ? `#${roundId}` : `${pot} #${roundId}`; }
+function roundArg(pot, roundId) { return pot === ALL_POT ? `${roundId}` : `${pot} ${roundId}`; }
+function parsePot(arg) {
+  if (!arg) return ROUND_MODE === 'per-chain' ? null : ALL_POT;
+  const key = String(arg).toUpperCase();
+  return key === ALL_POT || COINS.includes(key) ? key : null;
+}
+function potTarget(pot) {
+  return (pot !== ALL_POT && CHAINS[pot]?.target) || { amount: ROUND_TARGET_USD, unit: 'usd' };
+}
+function potEntries(pot) { return potCoins(pot).flatMap(s => rounds[s].entries.map(e => [s, e])); }
+function potUsd(pot) { return potEntries(pot).reduce((a, [, e]) => a + Number(e.usd), 0); }
+function entryCredits(s, e) {
+  return ledger.filter(r => r.chain === s && r.creditedTo === e.txid && r.status === 'settled');
+}
+// What an entry put in the pot: the part of its own deposit not held by its remainder row, then each credit it used up.
+function entryStake(s, e) {
+  const credits = entryCredits(s, e);
+  const usd = Math.max(0, Number(e.usd) - credits.reduce((a, r) => a + r.usd, 0));
+  const leftover = ledger.filter(r => r.chain === s && r.txid === e.txid && r.reason === 'remainder').reduce((a, r) => a + r.usd, 0);
+  const own = { chain: s, asset: e.asset || s, from: e.from, txid: e.txid, amount: usd + leftover > 0 ? e.amount * Math.min(1, usd / (usd + leftover)) : e.amount, usd };
+  return [own, ...credits.map(r => ({ chain: s, asset: r.asset, from: r.from, txid: r.txid, amount: r.amount, usd: r.usd }))];
+}
+function potNative(pot) {
+  const native = CHAINS[pot].native;
+  const px = priceQuote(native)?.usd;
+  const parts = potEntries(pot).flatMap(([s, e]) => entryStake(s, e));
+  return parts.reduce((a, p) => a + (p.asset === native ? p.amount : px ? p.usd / px : 0), 0);
+}
+function amountText(pot, n, L = i18n('en')) {
+  return potTarget(pot).unit === 'usd' ? L.usd(n) : `${L.num(n, 6)} ${CHAINS[pot].native}`;
+}
+function statusText(status, L) { return L.t(`status.${status}`); }
+function potProgress(pot, L = i18n('en')) {
+  const target = potTarget(pot);
+  const have = target.unit === 'usd' ? potUsd(pot) : potNative(pot);
+  return {
+    have,
+    pct: Math.min(100, Math.round(100 * have / target.amount)),
+    text: `${amountText(pot, have, L)} / ${amountText(pot, target.amount, L)}`
+  };
+}
+function targetsText(L = i18n('en')) {
+  return potKeys().map(p => (p === ALL_POT ? '' : `${p} `) + amountText(p, potTarget(p).amount, L)).join(', ');
+}
+function potLines(L = i18n('en')) {
+  return potKeys().map(p => {
+    const { text, pct } = potProgress(p, L);
+    return `${roundRef(p, currentRoundId(p))}: ${text} (${L.pct(pct / 100)})${draws[p] ? ` — ${L.t('pot.drawStatus', { status: statusText(draws[p].status, L) })}` : ''}`;
+  });
+}
+
+// Saves within STATE_SAVE_MS of the last write are coalesced into one snapshot of the whole state.
+let stateTimer = null;
+let stateSavedAt = 0;
+function saveState() {
+  if (!DATA_FILE || stateTimer) return;
+  const wait = stateSavedAt + STATE_SAVE_MS - Date.now();
+  if (wait > 0) stateTimer = setTimeout(writeState, wait);
+  else writeState();
+}
+function writeState() {
+  clearTimeout(stateTimer);
+  stateTimer = null;
+  stateSavedAt = Date.now();
+  const snapshot = {
+    v: 1,
+    savedAt: Date.now(),
+    roundMode: ROUND_MODE,
+    rounds,
+    seen: [...seen],
+    checkpoints,
+    queuedEntries,
+    roundHistory,
+    links,
+    pendingDeposits,
+    unconfirmedDeposits,
+    roundClocks,
+    ledger,
+    draws,
+    config: configOverrides,
+    configLog,
+    approvals,
+    scheduleRuns,
+    langs
+  };
+  try {
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    const tmp = `${DATA_FILE}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    try { fs.writeSync(fd, JSON.stringify(snapshot)); fs.fsyncSync(fd); }
+    finally { fs.closeSync(fd); }
+    fs.renameSync(tmp, DATA_FILE);
+  } catch (e) { console.error('State save error:', e?.message); }
+}
+function loadState() {
+  if (!DATA_FILE) return false;
+  let snapshot;
+  try { snapshot = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')); }
+  catch (e) {
+    if (e.code !== 'ENOENT') console.error('State load error:', e?.message);
+    return false;
+  }
   for (const s of COINS) {
-    rounds[s] = { id: rounds[s].id + 1, entries: [], startedAt: Date.now(), winner: null, proof: null };
+    if (snapshot.rounds?.[s]) rounds[s] = { ...rounds[s], ...snapshot.rounds[s] };
+  }
+  for (const txid of snapshot.seen || []) seen.add(txid);
+  Object.assign(checkpoints, snapshot.checkpoints || {});
+  queuedEntries.push(...(snapshot.queuedEntries || []));
+  roundHistory.push(...(snapshot.roundHistory || []));
+  Object.assign(links, snapshot.links || {});
+  pendingDeposits.push(...(snapshot.pendingDeposits || []));
+  unconfirmedDeposits.push(...(snapshot.unconfirmedDeposits || []));
+  Object.assign(roundClocks, snapshot.roundClocks || {});
+  ledger.push(...(snapshot.ledger || []));
+  for (const r of ledger) {
+    if (r.status === 'open' && PARTIAL_CREDIT && (r.reason === 'partial' || r.reason === 'remainder')) r.status = 'credit';
+  }
+  Object.assign(draws, snapshot.draws || {});
+  for (const [key, value] of Object.entries(snapshot.config || {})) {
+    if (!CONFIG_KEYS[key]) continue;
+    CONFIG_KEYS[key].set(value);
+    configOverrides[key] = value;
+  }
+  configLog.push(...(snapshot.configLog || []));
+  approvals.push(...(snapshot.approvals || []));
+  Object.assign(scheduleRuns, snapshot.scheduleRuns || {});
+  Object.assign(langs, snapshot.langs || {});
+  const savedMode = snapshot.roundMode || 'combined';
+  if (savedMode !== ROUND_MODE && Object.keys(draws).length) {
+    console.error(`ROUND_MODE stays ${savedMode} until its open draws are settled and the bot restarts`);
+    ROUND_MODE = savedMode;
+  }
+  return true;
+}
+function flushState() {
+  if (stateTimer) writeState();
+}
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    flushState();
+    process.exit(0);
+  });
+}
+
+// Ledger rows are 'open' refunds, 'credit' held toward the sender's next deposit, or 'settled' / 'reverted'.
+function addLedger(item, status = 'open') {
+  const r = { id: ledger.length + 1, ...item, usd: Number(item.usd.toFixed(2)), status, ts: Date.now() };
+  ledger.push(r);
+  saveState();
+  return r;
+}
+function openCredits(chain, from) {
+  return ledger.filter(r => r.status === 'credit' && r.chain === chain && sameAddr(r.from, from));
+}
+function refundable(r) { return r.status === 'open' || (r.status === 'credit' && !PARTIAL_CREDIT); }
+
+function isValidAddress(chain, address) {
+  return !!CHAINS[chain]?.isValidAddress(address);
+}
+function linkedUsers(chain, address) {
+  return Object.keys(links).filter(uid => links[uid].some(l => l.chain === chain && sameAddr(l.address, address)));
+}
+function linkMessage(uid, chain, address) {
+  return `Vault50 link ${chain} address ${address} to Telegram user ${uid}`;
+}
+async function dmLinked(chain, address, text) {
+  for (const uid of linkedUsers(chain, address)) {
+    try { await bot.sendMessage(uid, typeof text === 'function' ? text(i18n(langs[uid], true)) : escapeHtml(text), HTML); }
+    catch (e) { sendFailed('Entrant DM', e); }
+  }
+}
+
+function potRecordEntries(pot) {
+  return potCoins(pot).reduce((acc, s) => (acc[s] = rounds[s].entries, acc), {});
+}
+function archiveRound(pot, reason) {
+  const draw = draws[pot];
+  if (!potEntries(pot).length && !draw && !rounds[potCoins(pot)[0]].voided) return;
+  roundHistory.push({
+    pot,
+    roundId: currentRoundId(pot),
+    totalUsd: potUsd(pot).toFixed(2),
+    startedAt: rounds[potCoins(pot)[0]].startedAt,
+    ...draw,
+    ...(rounds[potCoins(pot)[0]].voided ? { voided: rounds[potCoins(pot)[0]].voided } : {}),
+    status: roundPaid(draw) ? 'paid' : ['refund', 'unclaimed'].includes(reason) ? 'refunded' : 'cancelled',
+    entries: potRecordEntries(pot),
+    closedAt: Date.now(),
+    closedBy: reason
+  });
+}
+function findRound(pot, roundId) {
+  return roundHistory.slice().reverse().find(r => (r.pot || ALL_POT) === pot && r.roundId === roundId) || null;
+}
+function lastDrawn(pots) {
+  return roundHistory.filter(r => r.tickets && pots.includes(r.pot || ALL_POT)).pop() || null;
+}
+function roundRecord(pot, roundId) {
+  if (!potKeys().includes(pot) || roundId !== currentRoundId(pot)) return findRound(pot, roundId);
+  return {
+    pot,
+    roundId,
+    totalUsd: potUsd(pot).toFixed(2),
+    startedAt: rounds[potCoins(pot)[0]].startedAt,
+    ...draws[pot],
+    ...(rounds[potCoins(pot)[0]].voided ? { voided: rounds[potCoins(pot)[0]].voided } : {}),
+    status: draws[pot]?.status || 'open',
+    entries: potRecordEntries(pot)
+  };
+}
+function newRound(pot, reason = 'payout') {
+  archiveRound(pot, reason);
+  const id = currentRoundId(pot) + 1;
+  for (const s of potCoins(pot)) {
+    rounds[s] = { id, entries: [], startedAt: Date.now(), winner: null, proof: null };
+  }
+  roundClocks[pot] = { deadline: null, warned: [] };
+  startRoundClock(pot);
+  releaseQueuedEntries(pot);
+  saveState();
+}
+// A voided commitment stays on its round so /verifydraw can still check the frozen list against its hash.
+function voidDraw(pot, chain, txid) {
+  const round = rounds[potCoins(pot)[0]];
+  (round.voided ||= []).push({ ...draws[pot], status: 'voided', voidedAt: Date.now(), voidedChain: chain, voidedTx: txid });
+  releaseQueuedEntries(pot);
+}
+function releaseQueuedEntries(pot) {
+  delete draws[pot];
+  for (const q of queuedEntries.filter(q => potOf(q.symbol) === pot)) {
+    queuedEntries.splice(queuedEntries.indexOf(q), 1);
+    const { symbol, ...entry } = q;
+    rounds[symbol].entries.push(entry);
   }
-  grand.usdTotal = 0;
 }
 function addEntry(symbol, entry) {
-  rounds[symbol].entries.push(entry);
-  grand.usdTotal += entry.usd;
+  if (draws[potOf(symbol)]) queuedEntries.push({ symbol, ...entry });
+  else rounds[symbol].entries.push(entry);
+  saveState();
+}
+function reachedTarget(pot) { return potProgress(pot).have >= potTarget(pot).amount; }
+function uniqueEntrants(pot) {
+  return new Set(potEntries(pot).map(([s, e]) => `${s}:${String(e.from).toLowerCase()}`)).size;
+}
+function drawReady(pot) { return reachedTarget(pot) && uniqueEntrants(pot) >= ROUND_MIN_ENTRANTS; }
+function buildTicketBag(pot) {
+  const bag = [];
+  for (const [s, e] of potEntries(pot)) {
+    for (let i = 0; i < e.tickets; i++) bag.push({ symbol: s, ...e });
+  }
+  return bag;
+}
+function currentRoundId(pot) { return rounds[potCoins(pot)[0]].id; }
+// Tickets are keyed by seenKey so several transfers in one transaction stay distinct.
+function ticketId(t) { return `${t.symbol}:${t.seenKey}`; }
+function sha256(s) { return crypto.createHash('sha256').update(s).digest('hex'); }
+function drawIndex(hash, count) { return Number(BigInt(`0x${hash.slice(0, 16)}`) % BigInt(count)); }
+function drawWinners(tickets, seedHash, count) {
+  const remaining = tickets.slice();
+  const picks = [];
+  for (let k = 0; k < count && remaining.length; k++) {
+    const hash = k ? sha256(`${seedHash}:${k}`) : seedHash;
+    const index = drawIndex(hash, remaining.length);
+    const ticket = remaining[index];
+    picks.push({ tier: k + 1, hash, index, of: remaining.length, ticket });
+    for (let i = remaining.length - 1; i >= 0; i--) if (remaining[i] === ticket) remaining.splice(i, 1);
+  }
+  return picks;
+}
+function roundWinners(r) { return r?.winners || []; }
+function roundPaid(r) {
+  const winners = roundWinners(r);
+  return winners.length > 0 && winners.every(w => w.payout);
+}
+function tierName(w, L = i18n('en')) { return L.t(w.tier <= 3 ? `tier.${w.tier}` : 'tier.n', { n: w.tier }); }
+function pickOf(w) { return w.pick ?? w.tier - 1; }
+function drawPicks(r) { return [...roundWinners(r), ...(r.unclaimed || [])]; }
+// Winners whose address cannot sign a message (multisig, Taproot, contracts, PDAs) are paid to the entry address as before.
+async function newClaim(entry) {
+  if (!CLAIM_WINDOW_H || !entry?.from || !await CHAINS[entry.symbol]?.claimable(entry.from)) return null;
+  return { code: crypto.randomBytes(4).toString('hex'), deadline: Date.now() + CLAIM_WINDOW_H * 3600 * 1000, claimedAt: null, payTo: null };
+}
+function claimPending(w) { return !!w.claim && !w.claim.claimedAt; }
+function payoutAddress(w) { return w.claim?.payTo || w.winner.from; }
+function claimMessage(draw, w, payTo = w.winner.from) {
+  return `Vault50 prize claim ${w.claim.code}: round ${roundRef(draw.pot, draw.roundId)}, ${w.winner.symbol} entry ${w.winner.txid}, pay to ${payTo}`;
+}
+
+function seedChain(chain) {
+  if (!CHAINS[chain]?.tip) throw new Error(`${chain} is not a configured seed chain`);
+  return CHAINS[chain];
+}
+async function fetchSeedTip(chain) {
+  return seedChain(chain).tip();
+}
+async function fetchSeedBlock(chain, height) {
+  const c = seedChain(chain);
+  if ((await c.tip()) < height + Math.max(1, c.confirms) - 1) return null;
+  return c.blockHash(height);
+}
+
+function collectedText(draw, L = i18n('en')) {
+  return draw.totalNative != null ? `${L.num(draw.totalNative, 6)} ${draw.native} (~${L.usd(draw.totalUsd)})` : L.usd(draw.totalUsd);
+}
+function prizeAmountText(draw, w, L = i18n('en')) {
+  return w.payoutNative != null ? `${L.num(w.payoutNative, 6)} ${draw.native} (~${L.usd(w.payoutUsd)})` : L.usd(w.payoutUsd);
+}
+// Watchers, the poll timer and payouts can all reach commitDraw at once; one commit per pot may be in flight.
+const committing = {};
+function commitDraw(pot) {
+  if (draws[pot]) return Promise.resolve();
+  return committing[pot] ||= postCommit(pot).finally(() => { delete committing[pot]; });
+}
+async function postCommit(pot) {
+  if (!buildTicketBag(pot).length) return;
+  let height;
+  try { height = (await fetchSeedTip(DRAW_SEED_CHAIN)) + DRAW_DELAY_BLOCKS; }
+  catch (e) {
+    noteRpcError(DRAW_SEED_CHAIN, e);
+    console.error('Draw commit error:', e?.message);
+    return;
+  }
+  // The ticket list is taken after the await so entries that landed meanwhile are in it rather than left between rounds.
+  const bag = buildTicketBag(pot);
+  if (draws[pot] || !bag.length) return;
+
+  const roundId = currentRoundId(pot);
+  const tickets = bag.map(ticketId);
+  const ticketsHash = sha256(tickets.join('\n'));
+  const target = potTarget(pot);
+  const draw = draws[pot] = {
+    pot,
+    roundId,
+    status: 'committed',
+    committedAt: Date.now(),
+    target: { ...target },
+    totalUsd: potUsd(pot).toFixed(2),
+    ...(target.unit === 'native' ? { native: CHAINS[pot].native, totalNative: Number(potNative(pot).toFixed(8)) } : {}),
+    tickets,
+    ticketsHash,
+    tiers: PRIZE_TIERS.slice(),
+    seed: { chain: DRAW_SEED_CHAIN, height, blockHash: null }
+  };
+  saveState();
+
+  const reached = reachedTarget(pot);
+  await postToChannel(L =>
+    [
+      L.t(reached ? 'commit.title.target' : 'commit.title.deadline', { pot: potName(pot, L) }),
+      L.t('draw.round', { round: roundRef(pot, roundId) }),
+      L.t('draw.tickets', { count: tickets.length }),
+      L.t(draw.totalNative != null ? 'draw.collected' : 'draw.collectedUsd', { amount: collectedText(draw, L) }),
+      '',
+      L.t('commit.prizes', { tiers: tiersText(PRIZE_TIERS, L) }),
+      '',
+      L.t('commit.hash', { hash: ticketsHash }),
+      L.t('commit.seed', { chain: DRAW_SEED_CHAIN, height }),
+      '',
+      L.t(PRIZE_TIERS.length > 1 ? 'commit.derive.many' : 'commit.derive.one'),
+      pot === ALL_POT ? L.t('commit.next') : L.t('commit.nextChain', { chain: pot }),
+      L.t('commit.check', { arg: roundArg(pot, roundId) })
+    ].join('\n')
+  );
+}
+async function prizeWinner(draw, p, tier, bag) {
+  const pct = draw.tiers[tier - 1];
+  const winner = bag.find(t => ticketId(t) === p.ticket);
+  return {
+    ...p,
+    tier,
+    pick: p.tier - 1,
+    pct,
+    winner,
+    payoutUsd: Number(draw.totalUsd) * pct,
+    ...(draw.totalNative != null ? { payoutNative: Number((draw.totalNative * pct).toFixed(8)) } : {}),
+    payout: null,
+    claim: await newClaim(winner)
+  };
+}
+async function notifyWinner(draw, w) {
+  const ref = roundRef(draw.pot, draw.roundId);
+  await dmLinked(w.winner.symbol, w.winner.from, L => [
+    draw.winners.length > 1 ? L.t('won.dm.tier', { tier: tierName(w, L), round: ref }) : L.t('won.dm.one', { round: ref }),
+    L.t('won.dm.entry', { chain: w.winner.symbol, txid: L.tx(w.winner.symbol, w.winner.txid) }),
+    L.t('won.dm.prize', { amount: prizeAmountText(draw, w, L), address: L.addr(w.winner.symbol, w.winner.from), chain: w.winner.symbol }),
+    ...(w.claim ? [L.t('won.dm.claim', { date: L.date(w.claim.deadline), code: w.claim.code })] : []),
+    '',
+    L.t('won.dm.proof', { arg: roundArg(draw.pot, draw.roundId) })
+  ].join('\n'));
+}
+// A prize share nobody can win goes back to every entry in proportion to what it put in.
+function refundShare(pot, pct) {
+  return potEntries(pot)
+    .flatMap(([s, e]) => entryStake(s, e))
+    .filter(p => p.usd > 0)
+    .map(p => addLedger({ ...p, amount: p.amount * pct, usd: p.usd * pct, reason: 'unclaimed-refund' }));
+}
+async function runDraw(pot) {
+  const draw = draws[pot];
+  if (draw?.status !== 'committed') return;
+  const blockHash = await fetchSeedBlock(draw.seed.chain, draw.seed.height);
+  if (!blockHash || await recheckEntries([pot])) return;
+
+  const bag = buildTicketBag(pot);
+  const h = sha256(`${draw.ticketsHash}:${blockHash}`);
+  const { tiers } = draw;
+  const winners = [];
+  for (const p of drawWinners(draw.tickets, h, tiers.length)) winners.push(await prizeWinner(draw, p, p.tier, bag));
+  const claims = winners.filter(w => w.claim);
+
+  Object.assign(draw, {
+    status: 'drawn',
+    drawnAt: Date.now(),
+    seed: { ...draw.seed, blockHash },
+    hash: h,
+    winners
+  });
+  const unfilled = tiers.length - winners.length;
+  const refunds = unfilled ? refundShare(pot, tiers.slice(winners.length).reduce((a, n) => a + n, 0)) : [];
+  saveState();
+
+  const ref = roundRef(pot, draw.roundId);
+  for (const w of winners) await notifyWinner(draw, w);
+  await postToChannel(L =>
+    [
+      L.t(winners.length > 1 ? 'won.title.many' : 'won.title.one', { pot: potName(pot, L) }),
+      L.t('draw.round', { round: ref }),
+      L.t('draw.target', { amount: amountText(pot, draw.target?.amount ?? ROUND_TARGET_USD, L) }),
+      L.t('draw.tickets', { count: draw.tickets.length }),
+      L.t(draw.totalNative != null ? 'draw.collected' : 'draw.collectedUsd', { amount: collectedText(draw, L) }),
+      '',
+      ...winners.flatMap(w => [
+        L.t('won.tier', { tier: tierName(w, L), amount: prizeAmountText(draw, w, L), pct: L.pct(w.pct) }),
+        L.t('won.address', { address: L.addr(w.winner.symbol, w.winner.from) }),
+        L.t('won.dm.entry', { chain: w.winner.symbol, txid: L.tx(w.winner.symbol, w.winner.txid) }),
+        ...(CLAIM_WINDOW_H && !w.claim ? [L.t('won.noClaim')] : []),
+        ''
+      ]),
+      ...(refunds.length
+        ? [L.t('won.unfilled', { count: unfilled }), L.t('refund.recorded', { count: refunds.length, first: refunds[0].id, last: refunds[refunds.length - 1].id }), '']
+        : []),
+      L.t('won.proof'),
+      `tickets.hash: ${draw.ticketsHash}`,
+      `seed.block: ${draw.seed.chain} #${draw.seed.height}`,
+      `seed.blockHash: ${blockHash}`,
+      `seed.hash: ${h}`,
+      ...winners.map(w => `${winners.length > 1 ? `tier ${w.tier} ` : ''}index: ${w.index}/${w.of - 1}`),
+      L.t('won.verify', { arg: roundArg(pot, draw.roundId) }),
+      '',
+      ...(claims.length ? [L.t('won.claim', { hours: CLAIM_WINDOW_H, date: L.date(claims[0].claim.deadline) })] : []),
+      ...(claims.length < winners.length ? [L.t('won.sendPayout')] : []),
+      L.t(PROOF_AUTO ? 'won.auto' : winners.length > 1 ? 'won.manualTier' : 'won.manual')
+    ].join('\n')
+  );
+  for (const r of refunds) {
+    await dmLinked(r.chain, r.from, L => [
+      L.t('won.dm.unfilled', { count: unfilled, round: ref }),
+      L.t('refund.dm.entry', { amount: L.num(r.amount, 6), asset: r.asset, txid: L.tx(r.chain, r.txid), ref: r.id })
+    ].join('\n'));
+  }
+}
+async function expireClaims(pot) {
+  const draw = draws[pot];
+  if (draw?.status !== 'drawn') return;
+  const expired = draw.winners.filter(w => claimPending(w) && Date.now() > w.claim.deadline);
+  if (!expired.length) return;
+  const bag = buildTicketBag(pot);
+  const ref = roundRef(pot, draw.roundId);
+  for (const old of expired) {
+    const k = drawPicks(draw).length;
+    const p = drawWinners(draw.tickets, draw.hash, k + 1)[k];
+    const next = p && await prizeWinner(draw, p, old.tier, bag);
+    const w = next?.winner ? next : null;
+    draw.unclaimed = [...(draw.unclaimed || []), { ...old, expiredAt: Date.now() }];
+    draw.winners.splice(draw.winners.indexOf(old), 1, ...(w ? [w] : []));
+    const refunds = w ? [] : refundShare(pot, old.pct);
+    saveState();
+
+    await postToChannel(L =>
+      [
+        L.t('redraw.title', { pot: potName(pot, L) }),
+        L.t('draw.round', { round: ref }),
+        L.t('redraw.expired', { tier: tierName(old, L), address: L.addr(old.winner.symbol, old.winner.from) }),
+        '',
+        ...(w
+          ? [
+            L.t('won.tier', { tier: tierName(w, L), amount: prizeAmountText(draw, w, L), pct: L.pct(w.pct) }),
+            L.t('won.address', { address: L.addr(w.winner.symbol, w.winner.from) }),
+            L.t('won.dm.entry', { chain: w.winner.symbol, txid: L.tx(w.winner.symbol, w.winner.txid) }),
+            '',
+            L.t('won.proof'),
+            `seed.hash: ${draw.hash}`,
+            `pick ${w.pick}: ${w.hash}`,
+            `index: ${w.index}/${w.of - 1}`,
+            L.t('won.verify', { arg: roundArg(pot, draw.roundId) }),
+            '',
+            w.claim ? L.t('redraw.claim', { date: L.date(w.claim.deadline) }) : L.t('won.sendPayout')
+          ]
+          : [
+            L.t('redraw.none', { tier: tierName(old, L) }),
+            ...(refunds.length ? [L.t('refund.recorded', { count: refunds.length, first: refunds[0].id, last: refunds[refunds.length - 1].id })] : [])
+          ])
+      ].join('\n')
+    );
+    if (w) await notifyWinner(draw, w);
+    for (const r of refunds) {
+      await dmLinked(r.chain, r.from, L => [
+        L.t('redraw.dm.title', { tier: tierName(old, L), round: ref }),
+        L.t('refund.dm.entry', { amount: L.num(r.amount, 6), asset: r.asset, txid: L.tx(r.chain, r.txid), ref: r.id })
+      ].join('\n'));
+    }
+  }
+  if (unpaidWinners(draw).length) return;
+  newRound(pot, draw.winners.length ? 'payout' : 'unclaimed');
+}
+async function pollDraw() {
+  for (const pot of potKeys()) {
+    try {
+      if (!draws[pot] && drawReady(pot)) await commitDraw(pot);
+      if (!draws[pot]) await checkDeadline(pot);
+      await runDraw(pot);
+      await expireClaims(pot);
+    } catch (e) {
+      metrics.drawErrors++;
+      console.error(`${potName(pot)} draw error:`, e?.message);
+    }
+  }
+}
+function startRoundClock(pot) {
+  const clock = roundClocks[pot] ||= { deadline: null, warned: [] };
+  if (!ROUND_DURATION_H && !clock.short) clock.deadline = null;
+  else if (!clock.deadline) {
+    clock.deadline = rounds[potCoins(pot)[0]].startedAt + ROUND_DURATION_H * 3600 * 1000;
+  }
+}
+function countdownText(ms, L = i18n('en')) {
+  const m = Math.max(0, Math.round(ms / 60000));
+  const d = Math.floor(m / 1440);
+  const h = Math.floor((m % 1440) / 60);
+  return [d && L.t('time.d', { n: d }), (d || h) && L.t('time.h', { n: h }), L.t('time.m', { n: m % 60 })].filter(Boolean).join(' ');
+}
+function deadlineLines(pot, L = i18n('en')) {
+  const clock = roundClocks[pot];
+  if (!clock?.deadline) return [];
+  return [
+    L.t('deadline.ends', { left: countdownText(clock.deadline - Date.now(), L), date: L.date(clock.deadline) }),
+    L.t('deadline.min', { min: ROUND_MIN_ENTRANTS, count: uniqueEntrants(pot) })
+  ];
+}
+function deadlinePolicyText(L = i18n('en')) {
+  if (ROUND_DEADLINE_POLICY === 'draw') return L.t(ROUND_MAX_EXTENSIONS ? 'policy.drawCapped' : 'policy.draw', { min: ROUND_MIN_ENTRANTS, hours: ROUND_EXTEND_H, max: ROUND_MAX_EXTENSIONS });
+  if (ROUND_DEADLINE_POLICY === 'refund') return L.t('policy.refund');
+  return L.t('policy.extend', { hours: ROUND_EXTEND_H });
+}
+async function checkDeadline(pot) {
+  const clock = roundClocks[pot] ||= { deadline: null, warned: [] };
+  const roundId = currentRoundId(pot);
+  // Without ROUND_DURATION_H a pot that reached its target with too few entrants would wait forever.
+  if (!clock.deadline && reachedTarget(pot) && !drawReady(pot)) {
+    Object.assign(clock, { deadline: Date.now() + ROUND_EXTEND_H * 3600 * 1000, warned: [], short: true });
+    saveState();
+    return postToChannel(L =>
+      [
+        L.t('deadline.short', { round: roundRef(pot, roundId), count: uniqueEntrants(pot), min: ROUND_MIN_ENTRANTS }),
+        ...deadlineLines(pot, L).slice(0, 1),
+        '',
+        L.t('deadline.ifShort', { policy: deadlinePolicyText(L) })
+      ].join('\n')
+    );
+  }
+  if (!clock.deadline) return;
+  const left = clock.deadline - Date.now();
+  if (left > 0) {
+    const due = ROUND_WARN_H.filter(h => left <= h * 3600 * 1000 && !clock.warned.includes(h));
+    if (!due.length) return;
+    clock.warned.push(...due);
+    saveState();
+    await postToChannel(L =>
+      [
+        L.t('deadline.warn', { round: roundRef(pot, roundId), left: countdownText(left, L) }),
+        L.t('deadline.progress', { progress: potProgress(pot, L).text }),
+        L.t('deadline.entrants', { count: uniqueEntrants(pot), min: ROUND_MIN_ENTRANTS }),
+        '',
+        L.t('deadline.ifMissed', { policy: deadlinePolicyText(L) })
+      ].join('\n')
+    );
+    return;
+  }
+
+  const entrants = uniqueEntrants(pot);
+  if (ROUND_DEADLINE_POLICY === 'refund' && entrants) return refundRound(pot);
+  if (ROUND_DEADLINE_POLICY === 'draw' && entrants >= ROUND_MIN_ENTRANTS) return commitDraw(pot);
+  if (ROUND_DEADLINE_POLICY === 'draw' && entrants && ROUND_MAX_EXTENSIONS && (clock.extensions || 0) >= ROUND_MAX_EXTENSIONS) return refundRound(pot);
+
+  Object.assign(clock, { deadline: clock.deadline + ROUND_EXTEND_H * 3600 * 1000, warned: [] });
+  if (entrants) clock.extensions = (clock.extensions || 0) + 1;
+  saveState();
+  if (!entrants) return;
+  await postToChannel(L =>
+    [
+      L.t('deadline.extended', { round: roundRef(pot, roundId), hours: ROUND_EXTEND_H }),
+      L.t('deadline.progress', { progress: potProgress(pot, L).text }),
+      L.t('deadline.entrants', { count: entrants, min: ROUND_MIN_ENTRANTS }),
+      ...deadlineLines(pot, L).slice(0, 1)
+    ].join('\n')
+  );
+}
+async function refundRound(pot) {
+  const roundId = currentRoundId(pot);
+  const refunds = [];
+  const reopened = [];
+  for (const [s, e] of potEntries(pot)) {
+    // Credits folded into the entry are refunded as their own rows, and its leftover row is already in the ledger.
+    const [own] = entryStake(s, e);
+    const used = entryCredits(s, e);
+    for (const r of used) {
+      r.status = 'open';
+      delete r.creditedTo;
+      delete r.settledAt;
+    }
+    reopened.push(...used);
+    refunds.push(addLedger({ ...own, reason: 'round-refund' }));
+  }
+  const progress = potProgress(pot, i18n(channelLang())).text;
+  newRound(pot, 'refund');
+  await postToChannel(L =>
+    [
+      L.t('refund.title', { round: roundRef(pot, roundId) }),
+      L.t('refund.pot', { progress }),
+      L.t('refund.recorded', { count: refunds.length, first: refunds[0].id, last: refunds[refunds.length - 1].id }),
+      '',
+      L.t('refund.open', { round: roundRef(pot, currentRoundId(pot)) })
+    ].join('\n')
+  );
+  for (const r of [...refunds, ...reopened]) {
+    await dmLinked(r.chain, r.from, L => [
+      L.t('refund.dm.title', { round: roundRef(pot, roundId) }),
+      L.t('refund.dm.entry', { amount: L.num(r.amount, 6), asset: r.asset, txid: L.tx(r.chain, r.txid), ref: r.id })
+    ].join('\n'));
+  }
+}
+function unpaidWinners(draw) {
+  return draw?.status === 'drawn' ? roundWinners(draw).filter(w => !w.payout) : [];
+}
+function payableWinners(draw) {
+  return unpaidWinners(draw).filter(w => !claimPending(w));
+}
+function awaitingPayout(symbol) {
+  return PROOF_AUTO && payableWinners(draws[potOf(symbol)]).some(w => w.winner.symbol === symbol);
+}
+async function verifyPayout(symbol, txid, w, draw) {
+  const winnerAddr = payoutAddress(w);
+  const chain = CHAINS[symbol];
+  const tx = chain ? await chain.txDetails(txid).catch(() => null) : null;
+  if (!tx) return { ok: false, pending: true, paid: [], paidUsd: 0, problems: ['transaction not found or not confirmed yet'], toWinner: false };
+  const problems = [...tx.problems];
+  const paid = [];
+  for (const t of tx.transfers.filter(t => sameAddr(t.to, winnerAddr))) {
+    const p = paid.find(x => x.asset === t.asset);
+    if (p) p.amount += t.amount;
+    else paid.push({ asset: t.asset, amount: t.amount });
+  }
+
+  if (claimPending(w)) problems.push(`the ${tierName(w)} has not been claimed yet (claim window ends ${new Date(w.claim.deadline).toISOString()})`);
+  if (symbol !== w.winner.symbol) problems.push(`winner entered on ${w.winner.symbol}, not ${symbol}`);
+  if (!tx.fromPool) problems.push(`not sent from the pool wallet ${chain.address}`);
+  if (!paid.length) problems.push(`nothing paid to the winner address ${winnerAddr}`);
+  if (roundWinners(draw).some(x => x.payout?.txid === txid)) problems.push('this transaction already settled another prize tier');
+  const px = await getPrices();
+  const inNative = w.payoutNative != null;
+  for (const p of paid) if (!px[p.asset] && !(inNative && p.asset === draw.native)) problems.push(`no fresh ${p.asset} price to check the amount`);
+  const paidUsd = paid.reduce((a, p) => a + toUSD(p.asset, p.amount, px), 0);
+  if (inNative) {
+    const paidNative = paid.reduce((a, p) => a + (p.asset === draw.native ? p.amount : px[draw.native] ? toUSD(p.asset, p.amount, px) / px[draw.native] : 0), 0);
+    if (paid.length && Math.abs(paidNative - w.payoutNative) > w.payoutNative * PAYOUT_TOL) {
+      problems.push(`paid ~${fmt(paidNative, 6)} ${draw.native}, expected ${fmt(w.payoutNative, 6)} ${draw.native} +/- ${Math.round(PAYOUT_TOL * 100)}%`);
+    }
+  } else if (paid.length && Math.abs(paidUsd - w.payoutUsd) > w.payoutUsd * PAYOUT_TOL) {
+    problems.push(`paid ~$${paidUsd.toFixed(2)}, expected $${w.payoutUsd.toFixed(2)} +/- ${Math.round(PAYOUT_TOL * 100)}%`);
+  }
+  return { ok: !problems.length, paid, paidUsd, problems, toWinner: paid.length > 0 };
+}
+function payoutProblemText(title, symbol, txid, check) {
+  return [
+    title,
+    `Chain: ${symbol}`,
+    `TX: ${txid}`,
+    ...check.problems.map(p => `- ${p}`),
+    '',
+    'Round not closed.'
+  ].join('\n');
+}
+const payoutChecked = new Set();
+// Outgoing pool txs whose details could not be fetched yet, retried after each scan of their chain.
+const payoutRetries = new Map();
+const PAYOUT_RETRIES = 10;
+async function autoProof(symbol, txid) {
+  if (!awaitingPayout(symbol) || payoutChecked.has(txid)) return;
+  const draw = draws[potOf(symbol)];
+  const winners = payableWinners(draw).filter(x => x.winner.symbol === symbol);
+  const checks = [];
+  for (const w of winners) {
+    const check = await verifyPayout(symbol, txid, w, draw);
+    if (check.pending) {
+      const tries = (payoutRetries.get(txid)?.tries || 0) + 1;
+      if (tries < PAYOUT_RETRIES) return void payoutRetries.set(txid, { symbol, tries });
+      payoutRetries.delete(txid);
+      payoutChecked.add(txid);
+      return notifyAdmins(`Outgoing ${symbol} TX ${txid} could not be verified after ${tries} attempts. If it is a prize payout, settle it with /proofpaid.`);
+    }
+    checks.push([w, check]);
+  }
+  payoutRetries.delete(txid);
+  payoutChecked.add(txid);
+  for (const [w, check] of checks) {
+    if (!check.toWinner) continue;
+    if (check.ok) return finalizeProof(symbol, txid, check, w, draw);
+    await notifyAdmins(payoutProblemText(`Payout to ${tierName(w)} winner detected but failed verification`, symbol, txid, check));
+  }
+}
+async function retryPayouts(symbol) {
+  for (const [txid, r] of [...payoutRetries]) if (r.symbol === symbol) await autoProof(symbol, txid);
+}
+async function finalizeProof(symbol, txid, check, w, draw) {
+  w.payout = { symbol, txid, to: payoutAddress(w), paid: check.paid, paidUsd: Number(check.paidUsd.toFixed(2)), verifiedAt: Date.now() };
+  saveState();
+  const left = unpaidWinners(draw);
+  await postToChannel(L =>
+    [
+      L.t('paid.title', { pot: potName(draw.pot, L) }),
+      L.t('draw.round', { round: roundRef(draw.pot, draw.roundId) }),
+      ...(draw.winners.length > 1 ? [L.t('paid.prize', { tier: tierName(w, L), pct: L.pct(w.pct) })] : []),
+      L.t('paid.chain', { chain: symbol }),
+      L.t('paid.paid', { amount: paidText(w.payout, L) }),
+      L.t('paid.to', { address: L.addr(w.winner.symbol, payoutAddress(w)) }),
+      L.t('paid.tx', { txid: L.tx(symbol, txid) }),
+      '',
+      L.t('paid.checked'),
+      left.length
+        ? L.t('paid.left', { tiers: left.map(x => tierName(x, L)).join(', ') })
+        : L.t('paid.closed', { pot: draw.pot === ALL_POT ? 'USD' : draw.pot })
+    ].join('\n')
+  );
+  // Queued entries that already fill the new round are committed by the serialized draw poller, not from here.
+  if (!left.length) newRound(draw.pot);
+}
+
+async function assetBalance(chain, asset) {
+  return CHAINS[chain].balance(asset);
+}
+async function processDeposit(deposit) {
+  const { chain, asset = chain, amount, from, txid, digits = 6, block, seenKey, retry = false } = deposit;
+  await getPrices();
+  const quote = priceQuote(asset);
+  // Nothing below awaits before the pending row, entry or ledger row is saved, so seen lands in the same snapshot.
+  seen.add(seenKey);
+  if (!quote) {
+    if (pendingDeposits.some(d => d.seenKey === seenKey && d.asset === asset)) return;
+    pendingDeposits.push({ chain, asset, amount, from, txid, digits, block, seenKey, ts: Date.now() });
+    saveState();
+    await postToChannel(L =>
+      [
+        L.t('deposit.noPrice.title', { label: depositLabel(chain, asset, L) }),
+        L.t('deposit.amount', { amount: L.num(amount, digits), asset }),
+        L.t('deposit.noPrice.body')
+      ].join('\n')
+    );
+    return;
+  }
+  // A retried deposit leaves the pending list in the same snapshot that records it; if it is gone, another pass took it.
+  const waiting = pendingDeposits.findIndex(d => d.seenKey === seenKey && d.asset === asset);
+  if (waiting >= 0) pendingDeposits.splice(waiting, 1);
+  else if (retry) return;
+
+  const usd = toUSD(asset, amount, { [asset]: quote.usd });
+  const credits = PARTIAL_CREDIT ? openCredits(chain, from) : [];
+  const creditUsd = Number(credits.reduce((a, r) => a + r.usd, 0).toFixed(2));
+  const totalUsd = Number((usd + creditUsd).toFixed(2));
+  const tickets = PARTIAL_CREDIT
+    ? Math.max(0, Math.floor((totalUsd + ENTRY_USD * ENTRY_TOL) / ENTRY_USD))
+    : ticketsForUSD(usd);
+  const pot = potOf(chain);
+  const roundId = currentRoundId(pot);
+  const queued = !!draws[pot];
+  const price = { usd: quote.usd, sources: quote.sources, at: quote.ts };
+  const record = { chain, asset, from: from || 'unknown', txid };
+  if (tickets > 0) {
+    for (const r of credits) Object.assign(r, { status: 'settled', creditedTo: txid, settledAt: Date.now() });
+    // The pot holds only what bought tickets; the remainder is owed back through its own ledger row.
+    const remainder = Number((totalUsd - tickets * ENTRY_USD).toFixed(2));
+    const entry = { from: from || 'unknown', asset, amount, usd: Number((totalUsd - Math.max(0, remainder)).toFixed(2)), tickets, txid, price, block, seenKey, ts: Date.now() };
+    if (credits.length) entry.credits = credits.map(r => r.txid);
+    addEntry(chain, entry);
+
+    const leftover = remainder >= 0.01
+      ? addLedger({ ...record, amount: usd > 0 ? amount * Math.min(1, remainder / usd) : 0, usd: remainder, reason: 'remainder' }, PARTIAL_CREDIT ? 'credit' : 'open')
+      : null;
+    const extraLines = L => [
+      ...(creditUsd ? [L.t('deposit.credit', { usd: L.usd(creditUsd) })] : []),
+      ...(leftover ? [L.t(PARTIAL_CREDIT ? 'deposit.leftover.credit' : 'deposit.leftover.refund', { usd: L.usd(remainder), ref: leftover.id })] : [])
+    ];
+    await postToChannel(L =>
+      [
+        L.t('entry.title', { label: depositLabel(chain, asset, L) }),
+        L.t('deposit.amountUsd', { amount: L.num(amount, digits), asset, usd: L.usd(usd) }),
+        L.t('entry.tickets', { count: tickets }),
+        ...extraLines(L),
+        queued
+          ? L.t('entry.queued', { round: roundRef(pot, roundId), next: roundRef(pot, roundId + 1) })
+          : L.t('deadline.progress', { progress: potProgress(pot, L).text })
+      ].join('\n')
+    );
+    await dmLinked(chain, from, L => [
+      L.t('entry.dm.title'),
+      L.t('entry.dm.deposit', { amount: L.num(amount, digits), asset, usd: L.usd(usd), chain }),
+      L.t('entry.dm.tickets', { count: tickets, round: roundRef(pot, roundId + (queued ? 1 : 0)) }),
+      ...extraLines(L),
+      L.t('paid.tx', { txid: L.tx(chain, txid) }),
+      '',
+      L.t('entry.dm.mine')
+    ].join('\n'));
+  } else if (PARTIAL_CREDIT) {
+    const r = addLedger({ ...record, amount, usd, reason: 'partial' }, 'credit');
+    await postToChannel(L =>
+      [
+        L.t('partial.title', { label: depositLabel(chain, asset, L) }),
+        L.t('deposit.amountUsd', { amount: L.num(amount, digits), asset, usd: L.usd(usd) }),
+        L.t('partial.credit', { have: L.usd(totalUsd), entry: L.usd(ENTRY_USD), ref: r.id })
+      ].join('\n')
+    );
+    await dmLinked(chain, from, L => [
+      L.t('partial.dm.title'),
+      L.t('entry.dm.deposit', { amount: L.num(amount, digits), asset, usd: L.usd(usd), chain }),
+      L.t('partial.dm.credit', { have: L.usd(totalUsd), missing: L.usd(Math.max(0, ENTRY_USD - totalUsd)) }),
+      L.t('paid.tx', { txid: L.tx(chain, txid) })
+    ].join('\n'));
+  } else {
+    const r = addLedger({ ...record, amount, usd, reason: 'no-match' });
+    await postToChannel(L =>
+      [
+        L.t('nomatch.title', { label: depositLabel(chain, asset, L) }),
+        L.t('nomatch.required', { usd: L.usd(ENTRY_USD), tol: L.pct(ENTRY_TOL) }),
+        L.t('deposit.amountUsd', { amount: L.num(amount, digits), asset, usd: L.usd(usd) }),
+        L.t('nomatch.recorded', { ref: r.id })
+      ].join('\n')
+    );
+    await dmLinked(chain, from, L => [
+      L.t('nomatch.dm.title'),
+      L.t('entry.dm.deposit', { amount: L.num(amount, digits), asset, usd: L.usd(usd), chain }),
+      L.t('nomatch.dm.required', { usd: L.usd(ENTRY_USD), tol: L.pct(ENTRY_TOL) }),
+      L.t('paid.tx', { txid: L.tx(chain, txid) }),
+      '',
+      L.t('nomatch.dm.recorded', { ref: r.id })
+    ].join('\n'));
+  }
+
+  if (!queued && drawReady(pot)) await commitDraw(pot);
+  else {
+    const total = await assetBalance(chain, asset).catch(() => null);
+    await postToChannel(L =>
+      [
+        L.t('deposit.new'),
+        L.t('deposit.token', { label: depositLabel(chain, asset, L) }),
+        L.t('deposit.amount', { amount: L.num(amount, digits), asset }),
+        L.t('deposit.wallet', { amount: total == null ? L.t('common.na') : `${L.num(total, digits)} ${asset}` })
+      ].join('\n')
+    );
+  }
+}
+async function retryPendingDeposits() {
+  if (!pendingDeposits.length) return;
+  await getPrices();
+  for (const d of pendingDeposits.slice()) {
+    if (!priceQuote(d.asset)) continue;
+    try { await processDeposit({ ...d, retry: true }); }
+    catch (e) { console.error('Pending deposit error:', e?.message); }
+  }
+}
+
+function depositLabel(chain, asset, L = i18n('en')) { return asset === chain ? chain : L.t('deposit.label', { asset, chain }); }
+function depositBlock(status) { return { height: status.height, hash: status.hash }; }
+async function detectDeposit(deposit, status) {
+  const chain = CHAINS[deposit.chain];
+  if (status.confirmations >= chain.confirms) return processDeposit({ ...deposit, block: depositBlock(status) });
+
+  seen.add(deposit.seenKey);
+  unconfirmedDeposits.push({ ...deposit, block: depositBlock(status), confirmations: status.confirmations, ts: Date.now() });
+  saveState();
+  const { asset, amount, digits = 6, from, txid } = deposit;
+  const counts = { have: status.confirmations, need: chain.confirms };
+  const lines = L => [
+    L.t('deposit.amount', { amount: L.num(amount, digits), asset }),
+    L.t('paid.tx', { txid: L.tx(deposit.chain, txid) }),
+    L.t('pending.rule', { confirms: chain.confirms })
+  ];
+  await postToChannel(L => [L.t('pending.title', { label: depositLabel(deposit.chain, asset, L), ...counts }), ...lines(L)].join('\n'));
+  await dmLinked(deposit.chain, from, L => [L.t('pending.dm.title', { chain: deposit.chain, ...counts }), ...lines(L)].join('\n'));
+}
+// The checkpoint is already past a recorded transaction, so one null answer from a lagging or load-balanced RPC
+// must not drop it: it counts as gone only after ENTRY_GONE_CHECKS misses spread over a whole recheck interval.
+function txGone(item, status) {
+  if (status) {
+    delete item.missing;
+    return false;
+  }
+  item.missing = { since: item.missing?.since || Date.now(), checks: (item.missing?.checks || 0) + 1 };
+  return item.missing.checks >= ENTRY_GONE_CHECKS && Date.now() - item.missing.since >= ENTRY_RECHECK_MIN * 60 * 1000;
+}
+async function checkUnconfirmed(chain) {
+  const items = unconfirmedDeposits.filter(d => d.chain === chain.key);
+  if (!items.length) return;
+  const tip = chain.tip ? await chain.tip() : null;
+  for (const d of items) {
+    const status = await chain.txStatus(d.txid, tip, d.block?.height);
+    if (!txGone(d, status) && (!status || status.confirmations < chain.confirms)) {
+      if (status) Object.assign(d, { block: depositBlock(status), confirmations: status.confirmations });
+      continue;
+    }
+    unconfirmedDeposits.splice(unconfirmedDeposits.indexOf(d), 1);
+    const { confirmations, ts, missing, ...deposit } = d;
+    if (status) {
+      saveState();
+      await processDeposit({ ...deposit, block: depositBlock(status) });
+      continue;
+    }
+    seen.delete(d.seenKey);
+    saveState();
+    await postToChannel(L =>
+      [
+        L.t('dropped.title', { label: depositLabel(d.chain, d.asset, L) }),
+        L.t('deposit.amount', { amount: L.num(d.amount, d.digits || 6), asset: d.asset }),
+        L.t('paid.tx', { txid: L.tx(d.chain, d.txid) }),
+        L.t('dropped.body')
+      ].join('\n')
+    );
+  }
+  saveState();
+}
+function pendingConfirmationLines(L, filter = () => true) {
+  return unconfirmedDeposits.filter(filter).map(d => L.t('pending.line', {
+    label: depositLabel(d.chain, d.asset, L),
+    amount: L.num(d.amount, d.digits || 6),
+    have: d.confirmations,
+    need: CHAINS[d.chain]?.confirms ?? '?',
+    txid: L.tx(d.chain, d.txid)
+  }));
+}
+
+async function rollbackEntry(symbol, entry, status) {
+  const pot = potOf(symbol);
+  const live = rounds[symbol].entries;
+  if (live.includes(entry)) live.splice(live.indexOf(entry), 1);
+  else if (queuedEntries.includes(entry)) queuedEntries.splice(queuedEntries.indexOf(entry), 1);
+  else return;
+
+  for (const r of ledger) {
+    if (r.chain === symbol && r.txid === entry.txid && (r.status === 'open' || r.status === 'credit')) r.status = 'reverted';
+    if (r.creditedTo === entry.txid && r.status === 'settled') {
+      r.status = 'credit';
+      delete r.creditedTo;
+      delete r.settledAt;
+    }
+  }
+  const chain = CHAINS[symbol];
+  const asset = entry.asset || symbol;
+  const digits = asset === chain?.native ? chain.digits : 6;
+  if (status) {
+    unconfirmedDeposits.push({
+      chain: symbol, asset, amount: entry.amount, from: entry.from, txid: entry.txid, digits, seenKey: entry.seenKey,
+      block: depositBlock(status), confirmations: status.confirmations, ts: Date.now()
+    });
+  } else seen.delete(entry.seenKey);
+
+  const draw = draws[pot];
+  const voided = draw?.status === 'committed' && draw.tickets.includes(ticketId({ symbol, ...entry }));
+  if (voided) voidDraw(pot, symbol, entry.txid);
+  saveState();
+
+  await postToChannel(L =>
+    [
+      L.t('rollback.title', { label: depositLabel(symbol, asset, L) }),
+      L.t('rollback.amount', { amount: L.num(entry.amount, digits), asset, usd: L.usd(entry.usd), tickets: entry.tickets }),
+      L.t('rollback.from', { address: L.addr(symbol, entry.from) }),
+      L.t('paid.tx', { txid: L.tx(symbol, entry.txid) }),
+      status
+        ? L.t('rollback.moved', { height: entry.block.height, confirms: chain.confirms })
+        : L.t('rollback.gone'),
+      ...(voided ? ['', L.t('rollback.void', { round: roundRef(pot, draw.roundId) }), L.t('commit.check', { arg: roundArg(pot, draw.roundId) })] : []),
+      L.t('deadline.progress', { progress: potProgress(pot, L).text })
+    ].join('\n')
+  );
+  await dmLinked(symbol, entry.from, L => [
+    L.t('rollback.dm.title'),
+    L.t('rollback.dm.deposit', { amount: L.num(entry.amount, digits), asset, chain: symbol }),
+    L.t('paid.tx', { txid: L.tx(symbol, entry.txid) }),
+    L.t(status ? 'rollback.dm.moved' : 'rollback.dm.gone')
+  ].join('\n'));
+}
+async function recheckEntries(pots = potKeys()) {
+  const live = pots.filter(p => draws[p]?.status !== 'drawn').flatMap(potEntries);
+  const queued = queuedEntries.filter(q => pots.includes(potOf(q.symbol))).map(q => [q.symbol, q]);
+  const list = [...live, ...queued].filter(([s, e]) => e.block && CHAINS[s]?.txStatus);
+  const tips = {};
+  const moved = [];
+  let missing = 0;
+  for (const [s, e] of list) {
+    try {
+      const chain = CHAINS[s];
+      if (chain.tip && tips[s] === undefined) tips[s] = await chain.tip();
+      const status = await chain.txStatus(e.txid, tips[s], e.block.height);
+      if (status ? e.block.hash && status.hash !== e.block.hash : txGone(e, status)) moved.push([s, e, status]);
+      else if (!status) missing++;
+    } catch (err) { console.error(`${s} entry recheck error:`, err?.message); }
+  }
+  for (const [s, e, status] of moved) await rollbackEntry(s, e, status);
+  if (missing) saveState();
+  return moved.length + missing;
+}
+
+function rpcFailover(key, urls, client = url => url) {
+  const clients = urls.map(client);
+  let i = 0;
+  return async fn => {
+    for (let tried = 1; ; tried++) {
+      try { return await fn(clients[i]); } catch (e) {
+        if (e.response?.status === 404 || tried >= urls.length) throw e;
+        const failed = urls[i];
+        i = (i + 1) % urls.length;
+        noteRpcError(key, e);
+        console.error(`${key} RPC ${failed} failed, switching to ${urls[i]}:`, e?.message);
+      }
+    }
+  };
+}
+
+function makeEsploraAdapter(cfg) {
+  const { key, address, confirms, native } = cfg;
+  const rpc = rpcFailover(key, cfg.rpcs);
+  const get = (p, timeout = 15000) => rpc(url => axios.get(`${url}${p}`, { timeout })).then(r => r.data);
+  const fromPool = tx => (tx.vin || []).some(v => v.prevout?.scriptpubkey_address === address);
+  const txState = (st, tip) => (st?.confirmed
+    ? { height: st.block_height, hash: st.block_hash, confirmations: tip - st.block_height + 1 }
+    : { height: null, hash: null, confirmations: 0 });
+  return {
+    ...cfg,
+    tokens: [],
+    digits: 8,
+    isValidAddress: a => cfg.addressPattern.test(a),
+    // BIP-322 and legacy signatures are checked for single-key P2WPKH and P2PKH addresses only.
+    claimable(a) {
+      const segwit = bech32Decode(a);
+      return segwit ? segwit.version === 0 && segwit.program.length === 20 : cfg.p2pkh.includes(base58Check(a)?.version);
+    },
+    verifyMessage(a, message, signature) {
+      if (bip322Verify(a, message, signature)) return 'BIP-322';
+      return keyMatchesAddress(a, legacyMessageKeys(cfg.messagePrefix, message, signature)) ? 'legacy' : null;
+    },
+    async tip() { return Number(await get('/blocks/tip/height', 10000)); },
+    async blockHash(height) { return String(await get(`/block-height/${height}`, 10000)); },
+    async balance() {
+      const { chain_stats: stats } = await get(`/address/${address}`);
+      return ((stats?.funded_txo_sum || 0) - (stats?.spent_txo_sum || 0)) / 1e8;
+    },
+    async txDetails(txid) {
+      const tx = await get(`/tx/${txid}`).catch(() => null);
+      if (!tx) return null;
+      return {
+        problems: tx.status?.confirmed ? [] : ['transaction is not confirmed yet'],
+        fromPool: fromPool(tx),
+        transfers: (tx.vout || []).map(v => ({ asset: native, amount: (v.value || 0) / 1e8, to: v.scriptpubkey_address }))
+      };
+    },
+    async txStatus(txid, tip) {
+      const st = await get(`/tx/${txid}/status`).catch(e => {
+        if (e.response?.status === 404) return null;
+        throw e;
+      });
+      return st && txState(st, tip);
+    },
+    async scan() {
+      const base = `/address/${address}`;
+      const tip = this.lastTip = await this.tip();
+      const safeHeight = tip - Math.max(1, confirms) + 1;
+      if (checkpoints[key] === undefined) {
+        checkpoints[key] = safeHeight;
+        saveState();
+      }
+
+      const fresh = [];
+      let page = (await get(`${base}/txs/chain`)) || [];
+      while (page.length) {
+        const newer = page.filter(tx => tx.status?.block_height > checkpoints[key]);
+        fresh.push(...newer);
+        if (newer.length < page.length) break;
+        page = (await get(`${base}/txs/chain/${page[page.length - 1].txid}`)) || [];
+      }
+      fresh.sort((a, b) => a.status.block_height - b.status.block_height);
+      const mempool = (await get(`${base}/txs/mempool`)) || [];
+
+      for (const tx of [...fresh, ...mempool]) {
+        const txid = tx.txid;
+        if (fromPool(tx)) {
+          if (tx.status?.confirmed) await autoProof(key, txid);
+          continue;
+        }
+        if (seen.has(txid)) continue;
+        const outs = (tx.vout || []).filter(v => v.scriptpubkey_address === address);
+        if (!outs.length) continue;
+
+        await detectDeposit({
+          chain: key,
+          asset: native,
+          amount: outs.reduce((a, v) => a + (v.value || 0), 0) / 1e8,
+          from: tx.vin?.[0]?.prevout?.scriptpubkey_address,
+          txid,
+          digits: 8,
+          seenKey: txid
+        }, txState(tx.status, tip));
+      }
+      if (safeHeight > checkpoints[key]) {
+        checkpoints[key] = safeHeight;
+        saveState();
+      }
+    }
+  };
+}
+
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+function makeEvmAdapter(cfg) {
+  const { key, address, confirms, native, concurrency } = cfg;
+  const rpc = rpcFailover(key, cfg.rpcs, url => new ethers.JsonRpcProvider(url, undefined, { staticNetwork: true }));
+  const tokens = EVM_TOKENS.filter(t => t.chain === key);
+  const poolTopic = address ? ethers.zeroPadValue(address, 32) : null;
+  const byAddress = new Map(tokens.map(t => [t.address.toLowerCase(), t]));
+  const logAddress = log => ethers.getAddress(ethers.dataSlice(log, 12));
+  const heads = new Map();
+  async function fetchBlocks(provider, from, to) {
+    const numbers = Array.from({ length: to - from + 1 }, (_, i) => from + i);
+    let blocks = await mapLimit(numbers, concurrency, bn => provider.getBlock(bn, !heads.has(bn)));
+    blocks = await mapLimit(blocks, concurrency, b => (b && heads.has(b.number) && heads.get(b.number) !== b.hash ? provider.getBlock(b.hash, true) : b));
+    const end = blocks.indexOf(null);
+    return end < 0 ? blocks : blocks.slice(0, end);
+  }
+  async function fetchLogs(provider, blocks, safeTip) {
+    const byBlock = new Map(blocks.map(b => [b.hash, { incoming: [], outgoing: [] }]));
+    if (!tokens.length || !blocks.length) return byBlock;
+    const safe = blocks.filter(b => b.number <= safeTip);
+    const filters = [
+      ...(safe.length ? [{ fromBlock: safe[0].number, toBlock: safe[safe.length - 1].number }] : []),
+      ...blocks.filter(b => b.number > safeTip).map(b => ({ blockHash: b.hash }))
+    ];
+    const payout = awaitingPayout(key);
+    const query = (filter, topics) => provider.getLogs({ ...filter, address: tokens.map(t => t.address), topics: [TRANSFER_TOPIC, ...topics] });
+    await mapLimit(filters, concurrency, async filter => {
+      const [incoming, outgoing] = await Promise.all([query(filter, [null, poolTopic]), payout ? query(filter, [poolTopic]) : []]);
+      for (const log of incoming) byBlock.get(log.blockHash)?.incoming.push(log);
+      for (const log of outgoing) byBlock.get(log.blockHash)?.outgoing.push(log);
+    });
+    return byBlock;
+  }
+  async function scanBlock(block, tip, logs) {
+    const status = { height: block.number, hash: block.hash, confirmations: tip - block.number + 1 };
+    for (const tx of block.prefetchedTransactions) {
+      if (sameAddr(tx.from, address)) {
+        await autoProof(key, tx.hash);
+        continue;
+      }
+      if (!sameAddr(tx.to, address) || seen.has(tx.hash)) continue;
+
+      await detectDeposit({
+        chain: key,
+        asset: native,
+        amount: Number(ethers.formatEther(tx.value)),
+        from: tx.from,
+        txid: tx.hash,
+        seenKey: tx.hash
+      }, status);
+    }
+
+    for (const log of logs.outgoing) await autoProof(key, log.transactionHash);
+    for (const log of logs.incoming) {
+      const token = byAddress.get(log.address.toLowerCase());
+      const seenKey = `${log.transactionHash}:${log.index}`;
+      if (!token || seen.has(seenKey)) continue;
+
+      const decimals = await rpc(p => tokenDecimals(token, p));
+      await detectDeposit({
+        chain: key,
+        asset: token.symbol,
+        amount: Number(ethers.formatUnits(BigInt(log.data), decimals)),
+        from: logAddress(log.topics[1]),
+        txid: log.transactionHash,
+        digits: Math.min(6, decimals),
+        seenKey
+      }, status);
+    }
+  }
+  let batch = 1;
+  return {
+    ...cfg,
+    tokens,
+    digits: 6,
+    get batch() { return batch; },
+    isValidAddress: a => ethers.isAddress(a),
+    async claimable(a) { return (await rpc(p => p.getCode(a))) === '0x'; },
+    verifyMessage: (a, message, signature) => (sameAddr(ethers.verifyMessage(message, signature), a) ? 'EIP-191' : null),
+    tokenRef: (t, L) => `contract ${L.addr(t.chain, t.address)}`,
+    tip: () => rpc(p => p.getBlockNumber()),
+    async txStatus(txid, tip, height) {
+      return rpc(async p => {
+        const receipt = await p.getTransactionReceipt(txid);
+        if (receipt) return { height: receipt.blockNumber, hash: receipt.blockHash, confirmations: tip - receipt.blockNumber + 1 };
+        if (await p.getTransaction(txid)) return { height: null, hash: null, confirmations: 0 };
+        // A backend that has not reached the block yet answers null for a transaction that is still there.
+        if (height != null) {
+          const head = await p.getBlockNumber();
+          if (head < height) throw new Error(`RPC is at block ${head}, behind ${height}`);
+        }
+        return null;
+      });
+    },
+    async blockHash(height) { return (await rpc(p => p.getBlock(height)))?.hash || null; },
+    async balance(asset) {
+      const token = tokens.find(t => t.symbol === asset);
+      return rpc(async p => (token ? tokenBalance(token, p, address) : Number(ethers.formatEther(await p.getBalance(address)))));
+    },
+    async txDetails(txid) {
+      const [tx, receipt] = await rpc(p => Promise.all([p.getTransaction(txid), p.getTransactionReceipt(txid)]));
+      if (!tx || !receipt) return null;
+      const transfers = tx.to && tx.value > 0n ? [{ asset: native, amount: Number(ethers.formatEther(tx.value)), to: tx.to }] : [];
+      for (const log of receipt.logs) {
+        const token = byAddress.get(log.address.toLowerCase());
+        if (!token || log.topics[0] !== TRANSFER_TOPIC || log.topics.length < 3) continue;
+        if (!sameAddr(logAddress(log.topics[1]), address)) continue;
+        const amount = Number(ethers.formatUnits(BigInt(log.data), await rpc(p => tokenDecimals(token, p))));
+        transfers.push({ asset: token.symbol, amount, to: logAddress(log.topics[2]) });
+      }
+      return {
+        problems: receipt.status === 1 ? [] : ['transaction reverted'],
+        fromPool: sameAddr(tx.from, address),
+        transfers
+      };
+    },
+    async scan() {
+      const tip = this.lastTip = await rpc(p => p.getBlockNumber());
+      const safeTip = tip - Math.max(1, confirms) + 1;
+      if (checkpoints[key] === undefined) {
+        checkpoints[key] = tip - 3;
+        saveState();
+      }
+      for (let from = checkpoints[key] + 1; from <= tip;) {
+        const to = Math.min(tip, from + batch - 1);
+        let blocks, logs;
+        try {
+          // Blocks and logs of a batch come from one backend, and only once it has reached the end of the range:
+          // a lagging node answers a range getLogs with [] instead of an error.
+          [blocks, logs] = await rpc(async p => {
+            const head = await p.getBlockNumber();
+            if (head < to) throw new Error(`RPC is at block ${head}, behind ${to}`);
+            const found = await fetchBlocks(p, from, to);
+            return [found, await fetchLogs(p, found.filter(b => heads.get(b.number) !== b.hash), safeTip)];
+          });
+        } catch (e) {
+          batch = Math.max(1, Math.floor(batch / 2));
+          throw e;
+        }
+        for (const block of blocks) {
+          if (heads.get(block.number) !== block.hash) {
+            await scanBlock(block, tip, logs.get(block.hash));
+            heads.set(block.number, block.hash);
+          }
+          if (block.number <= safeTip) {
+            heads.delete(block.number);
+            checkpoints[key] = block.number;
+          }
+        }
+        saveState();
+        if (blocks.length < to - from + 1) break;
+        if (to < tip) batch = Math.min(cfg.batchMax, batch * 2);
+        from = to + 1;
+      }
+    }
+  };
+}
+
+function parsedInstructions(tx) {
+  const inner = (tx.meta?.innerInstructions || []).flatMap(i => i.instructions || []);
+  return [...(tx.transaction?.message?.instructions || []), ...inner];
+}
+function splTransfers(tx) {
+  const keys = (tx.transaction?.message?.accountKeys || []).map(k => String(k.pubkey || k));
+  const balances = [...(tx.meta?.preTokenBalances || []), ...(tx.meta?.postTokenBalances || [])];
+  const ownerOf = acct => balances.find(b => keys[b.accountIndex] === acct)?.owner;
+  const out = [];
+  for (const ins of parsedInstructions(tx)) {
+    const p = ins.parsed;
+    if (ins.program !== 'spl-token' || (p?.type !== 'transfer' && p?.type !== 'transferChecked')) continue;
+    const raw = p.type === 'transferChecked' ? p.info.tokenAmount?.amount : p.info.amount;
+    out.push({
+      source: p.info.source,
+      destination: p.info.destination,
+      raw: BigInt(raw || 0),
+      from: ownerOf(p.info.source) || p.info.authority || p.info.multisigAuthority || p.info.source,
+      to: ownerOf(p.info.destination) || p.info.destination
+    });
+  }
+  return out;
+}
+function solTransfers(tx) {
+  return parsedInstructions(tx)
+    .filter(ins => ins.program === 'system' && ins.parsed?.type === 'transfer')
+    .map(ins => ins.parsed.info);
+}
+
+function makeSolanaAdapter(cfg) {
+  const { key, address, native } = cfg;
+  const rpc = rpcFailover(key, cfg.rpcs, url => new Connection(url, 'confirmed'));
+  const tokens = SPL_TOKENS.filter(t => t.chain === key);
+  const ata = token => {
+    if (!token.ata) {
+      token.ata = PublicKey.findProgramAddressSync(
+        [new PublicKey(address).toBuffer(), SPL_TOKEN_PROGRAM.toBuffer(), new PublicKey(token.mint).toBuffer()],
+        ASSOCIATED_TOKEN_PROGRAM
+      )[0].toBase58();
+    }
+    return token.ata;
+  };
+  const decimals = async token => {
+    if (token.decimals == null) token.decimals = (await rpc(c => c.getTokenSupply(new PublicKey(token.mint)))).value.decimals;
+    return token.decimals;
+  };
+  // Only finalized slots are cached: a block on a minority fork can still be replaced.
+  const slotHashes = new Map();
+  async function slotHash(slot, final) {
+    if (slotHashes.has(slot)) return slotHashes.get(slot);
+    const block = await rpc(c => c.getBlock(slot, { transactionDetails: 'none', rewards: false, maxSupportedTransactionVersion: 0 }));
+    if (!block) return null;
+    if (final) {
+      slotHashes.set(slot, block.blockhash);
+      if (slotHashes.size > 1000) slotHashes.delete(slotHashes.keys().next().value);
+    }
+    return block.blockhash;
+  }
+  async function txStatus(sig) {
+    const { value: [st] } = await rpc(c => c.getSignatureStatuses([sig], { searchTransactionHistory: true }));
+    if (!st || st.err) return null;
+    const hash = await slotHash(st.slot, st.confirmationStatus === 'finalized');
+    if (!hash) return null;
+    return { height: st.slot, hash, confirmations: st.confirmations ?? ROOTED_CONFIRMATIONS };
+  }
+  async function scanSignatures(account, checkpoint, onTx) {
+    const pub = new PublicKey(account);
+    if (checkpoints[checkpoint] === undefined) {
+      const [latest] = await rpc(c => c.getSignaturesForAddress(pub, { limit: 1 }));
+      checkpoints[checkpoint] = latest?.signature || '';
+      saveState();
+    }
+
+    const list = [];
+    let before;
+    for (;;) {
+      const page = await rpc(c => c.getSignaturesForAddress(pub, { before, until: checkpoints[checkpoint] || undefined, limit: 1000 }));
+      list.push(...page);
+      if (page.length < 1000) break;
+      before = page[page.length - 1].signature;
+    }
+    list.reverse();
+
+    for (const s of list) {
+      if (!s.err) {
+        const tx = await rpc(c => c.getParsedTransaction(s.signature, { maxSupportedTransactionVersion: 0 }));
+        if (!tx) break;
+        if (tx.meta && !tx.meta.err) await onTx(s.signature, tx);
+      }
+      checkpoints[checkpoint] = s.signature;
+      saveState();
+    }
+  }
+  return {
+    ...cfg,
+    tokens,
+    digits: 6,
+    isValidAddress(a) { try { return !!new PublicKey(a); } catch (_) { return false; } },
+    claimable(a) { try { return PublicKey.isOnCurve(new PublicKey(a).toBytes()); } catch (_) { return false; } },
+    verifyMessage: (a, message, signature) => (ed25519Verify(a, message, signature) ? 'ed25519' : null),
+    tokenRef: (t, L) => `mint ${L.addr(t.chain, t.mint)}, token account ${L.addr(t.chain, ata(t))}`,
+    txStatus,
+    async balance(asset) {
+      const token = tokens.find(t => t.symbol === asset);
+      if (!token) return (await rpc(c => c.getBalance(new PublicKey(address), 'confirmed'))) / 1e9;
+      const { value } = await rpc(c => c.getTokenAccountBalance(new PublicKey(ata(token)), 'confirmed'));
+      return Number(value.uiAmountString || 0);
+    },
+    async txDetails(txid) {
+      const tx = await rpc(c => c.getParsedTransaction(txid, { maxSupportedTransactionVersion: 0 }));
+      if (!tx) return null;
+      const out = solTransfers(tx).filter(t => t.source === address);
+      const transfers = out.map(t => ({ asset: native, amount: Number(t.lamports || 0) / 1e9, to: t.destination }));
+      let fromPool = out.length > 0;
+      const spl = splTransfers(tx);
+      for (const token of tokens) {
+        const sent = spl.filter(t => t.source === ata(token));
+        if (sent.length) fromPool = true;
+        for (const t of sent) transfers.push({ asset: token.symbol, amount: Number(ethers.formatUnits(t.raw, await decimals(token))), to: t.to });
+      }
+      return { problems: tx.meta?.err ? ['transaction failed'] : [], fromPool, transfers };
+    },
+    async scan() {
+      await scanSignatures(address, key, async (sig, tx) => {
+        if (solTransfers(tx).some(t => t.source === address)) return autoProof(key, sig);
+        if (seen.has(sig)) return;
+        const ixs = tx.transaction?.message?.instructions || [];
+        const p = ixs.map(ins => ins.parsed).find(x => x?.type === 'transfer' && x?.info?.destination === address);
+        if (!p) return;
+        // Throwing keeps the checkpoint before this signature, so the next poll reads its status again.
+        const status = await txStatus(sig);
+        if (!status) throw new Error(`no status for ${sig} yet`);
+
+        await detectDeposit({
+          chain: key,
+          asset: native,
+          amount: Number(p.info.lamports || 0) / 1e9,
+          from: p.info.source,
+          txid: sig,
+          seenKey: sig
+        }, status);
+      });
+
+      for (const token of tokens) {
+        const account = ata(token);
+        await scanSignatures(account, `${key}:${token.mint}`, async (sig, tx) => {
+          const all = splTransfers(tx);
+          if (all.some(t => t.source === account)) return autoProof(key, sig);
+          const seenKey = `${sig}:${token.mint}`;
+          if (seen.has(seenKey)) return;
+          const transfers = all.filter(t => t.destination === account);
+          if (!transfers.length) return;
+          const status = await txStatus(sig);
+          if (!status) throw new Error(`no status for ${sig} yet`);
+
+          const d = await decimals(token);
+          await detectDeposit({
+            chain: key,
+            asset: token.symbol,
+            amount: Number(ethers.formatUnits(transfers.reduce((a, t) => a + t.raw, 0n), d)),
+            from: transfers[0].from,
+            txid: sig,
+            digits: Math.min(6, d),
+            seenKey
+          }, status);
+        });
+      }
+    }
+  };
 }
-function reachedUsdTarget() { return grand.usdTotal >= ROUND_TARGET_USD; }
-function buildTicketBag() {
-  const bag = [];
-  for (const s of COINS) {
-    for (const e of rounds[s].entries) {
-      for (let i = 0; i < e.tickets; i++) bag.push({ symbol: s, ...e });
+
+function simSignature(address, message) { return sha256(`sim-sign:${address}:${message}`); }
+function makeSimAdapter(cfg) {
+  const { key, address, native } = cfg;
+  const tokens = [...EVM_TOKENS, ...SPL_TOKENS].filter(t => t.chain === key);
+  const digits = cfg.type === 'esplora' ? 8 : 6;
+  const txs = new Map();
+  let height = 1000;
+  let nonce = 0;
+  // Each reorg bumps the fork number of the blocks it replaces, so they get new hashes.
+  const forks = new Map();
+  const hashOf = h => sha256(`sim:${key}:block:${h}${forks.has(h) ? `:${forks.get(h)}` : ''}`);
+  const txState = (tx, tip) => (tx.height
+    ? { height: tx.height, hash: hashOf(tx.height), confirmations: tip - tx.height + 1 }
+    : { height: null, hash: null, confirmations: 0 });
+  return {
+    ...cfg,
+    txUrl: '',
+    addressUrl: '',
+    tokens,
+    digits,
+    isValidAddress: a => /^\S{3,100}$/.test(a),
+    claimable: () => true,
+    verifyMessage: (a, message, signature) => (signature === simSignature(a, message) ? 'simulated' : null),
+    tokenRef: (t, L) => `${t.mint ? 'mint' : 'contract'} ${L.addr(t.chain, t.mint || t.address)}`,
+    async tip() { return height; },
+    async blockHash(h) { return h <= height ? hashOf(h) : null; },
+    async balance(asset) {
+      let total = 0;
+      for (const tx of txs.values()) {
+        if (!tx.height || tx.asset !== asset) continue;
+        if (sameAddr(tx.to, address)) total += tx.amount;
+        if (sameAddr(tx.from, address)) total -= tx.amount;
+      }
+      return total;
+    },
+    async txStatus(txid, tip = height) {
+      const tx = txs.get(txid);
+      return tx ? txState(tx, tip) : null;
+    },
+    async txDetails(txid) {
+      const tx = txs.get(txid);
+      if (!tx) return null;
+      return {
+        problems: tx.height ? [] : ['transaction is not confirmed yet'],
+        fromPool: sameAddr(tx.from, address),
+        transfers: [{ asset: tx.asset, amount: tx.amount, to: tx.to }]
+      };
+    },
+    send(tx) {
+      const hash = sha256(`sim:${key}:tx:${++nonce}:${Date.now()}`);
+      const txid = cfg.type === 'evm' ? `0x${hash}` : hash;
+      txs.set(txid, { ...tx, txid, height: null });
+      return txid;
+    },
+    reorg(depth) {
+      for (let h = height - depth + 1; h <= height; h++) forks.set(h, (forks.get(h) || 0) + 1);
+      for (const tx of txs.values()) if (tx.height > height - depth) tx.height = null;
+      return height;
+    },
+    mine(n = 1) {
+      for (let i = 0; i < n; i++) {
+        height++;
+        for (const tx of txs.values()) if (!tx.height) tx.height = height;
+      }
+      return height;
+    },
+    async scan() {
+      for (const tx of [...txs.values()]) {
+        if (sameAddr(tx.from, address)) {
+          if (tx.height) await autoProof(key, tx.txid);
+          continue;
+        }
+        if (!sameAddr(tx.to, address) || seen.has(tx.txid)) continue;
+        await detectDeposit({
+          chain: key,
+          asset: tx.asset,
+          amount: tx.amount,
+          from: tx.from,
+          txid: tx.txid,
+          digits: tx.asset === native ? digits : 6,
+          seenKey: tx.txid
+        }, txState(tx, height));
+      }
+      checkpoints[key] = height;
+      this.lastTip = this.mine();
     }
-  }
-  return bag;
+  };
 }
-async function fetchChainSeeds() {
-  try {
-    const [btcHead, ethBlock, solSlot] = await Promise.all([
-      axios.get(`${RPC.BTC}/blocks/tip/hash`, { timeout: 10000 }).then(r => String(r.data)).catch(() => ''),
-      providerETH.getBlock('latest').then(b => String(b?.hash || '')).catch(() => ''),
-      solConn.getSlot('finalized').then(n => String(n)).catch(() => '')
-    ]);
-    return { btcHead, ethHead: ethBlock, solSlot };
-  } catch (_) { return { btcHead: '', ethHead: '', solSlot: '' }; }
-}
-async function runUsdDraw() {
-  const seedParts = await fetchChainSeeds();
-  const bag = buildTicketBag();
-  if (!bag.length) return;
-
-  const seedMaterial = JSON.stringify({
-    seed: seedParts,
-    txids: bag.map(b => b.txid),
-    totalUsd: grand.usdTotal.toFixed(2)
-  });
-  const h = crypto.createHash('sha256').update(seedMaterial).digest('hex');
-  const idx = parseInt(h.slice(0, 16), 16) % bag.length;
-  const winner = bag[idx];
-  const payoutUsd = grand.usdTotal * PAYOUT_PCT;
 
-  await postToChannel(
-    [
-      'USD Round — Winner Selected',
-      `Target: $${ROUND_TARGET_USD}`,
-      `Total tickets: ${bag.length}`,
-      `USD collected: $${grand.usdTotal.toFixed(2)}`,
-      `Payout (USD basis): $${payoutUsd.toFixed(2)} (${Math.round(PAYOUT_PCT * 100)}%)`,
-      '',
-      `Winner address: ${winner.from}`,
-      `Winning entry: ${winner.symbol} TX ${winner.txid}`,
-      '',
-      'Fairness Proof',
-      `seed.btcHead: ${seedParts.btcHead}`,
-      `seed.ethHead: ${seedParts.ethHead}`,
-      `seed.solSlot: ${seedParts.solSlot}`,
-      `seed.hash: ${h}`,
-      `index: ${idx}/${bag.length - 1}`,
-      '',
-      'Send payout to the winner address (same chain).',
-      'After you send, submit: /proofpaid ' + winner.symbol + ' <tx> [amount]'
-    ].join('\n')
-  );
+const CHAIN_TYPES = { esplora: makeEsploraAdapter, evm: makeEvmAdapter, solana: makeSolanaAdapter };
+const CHAINS = Object.fromEntries(CHAIN_CONFIG.map(c => [c.key, SIMULATION ? makeSimAdapter(c) : CHAIN_TYPES[c.type](c)]));
 
-  global.__usd_round = { seedParts, bagLen: bag.length, hash: h, winner, startedAt: Date.now() };
+const CONFIG_KEYS = {
+  entryUsd: { label: L => L.t('config.entryUsd'), get: () => ENTRY_USD, set: v => { ENTRY_USD = v; }, text: (v, L) => L.usd(v) },
+  targetUsd: { label: L => L.t('config.targetUsd'), get: () => ROUND_TARGET_USD, set: v => { ROUND_TARGET_USD = v; }, text: (v, L) => L.usd(v) },
+  entryTol: { label: L => L.t('config.entryTol'), get: () => ENTRY_TOL, set: v => { ENTRY_TOL = v; }, text: (v, L) => L.pct(v) },
+  prizeTiers: { label: L => L.t('config.prizeTiers'), get: () => PRIZE_TIERS, set: v => { PRIZE_TIERS = v; }, text: (v, L) => tiersText(v, L) }
+};
+for (const c of Object.values(CHAINS)) {
+  CONFIG_KEYS[`target.${c.key}`] = {
+    label: L => L.t('config.target', { chain: c.key }),
+    get: () => c.target,
+    set: v => { c.target = v; },
+    text: (v, L) => (!v ? L.t('config.targetUsd') : v.unit === 'usd' ? L.usd(v.amount) : `${L.num(v.amount, 6)} ${c.native}`)
+  };
 }
-async function finalizeUsdProofManual(symbol, txid, paidAmount) {
-  const amtLine = paidAmount ? `Paid: ${fmt(Number(paidAmount), 6)} ${symbol}\n` : '';
-  await postToChannel(
+async function changeConfig(key, value, by, approvedBy = null) {
+  const c = CONFIG_KEYS[key];
+  const old = c.get();
+  c.set(value);
+  configOverrides[key] = value;
+  const change = { key, old, value, by, approvedBy, at: Date.now() };
+  configLog.push(change);
+  if (configLog.length > 200) configLog.splice(0, configLog.length - 200);
+  saveState();
+  await postToChannel(L =>
     [
-      'USD Round — Payout Confirmed (Manual)',
-      `Chain: ${symbol}`,
-      `${amtLine}TX: ${txid}`,
-      '',
-      'Round closed. New USD round is now open.'
+      L.t('config.changed'),
+      `${c.label(L)}: ${c.text(old, L)} → ${c.text(value, L)}`,
+      approvedBy ? L.t('config.byApproved', { name: by.name, approver: approvedBy.name }) : L.t('config.by', { name: by.name }),
+      L.t('config.at', { date: L.date(change.at) })
     ].join('\n')
   );
-  newRoundAll();
 }
 
-const seen = new Set();
-
-async function pollBTC() {
-  if (!ADDR.BTC) return;
-  try {
-    const [confirmed, mempool, addrInfo] = await Promise.all([
-      axios.get(`${RPC.BTC}/address/${ADDR.BTC}/txs`, { timeout: 15000 }),
-      axios.get(`${RPC.BTC}/address/${ADDR.BTC}/txs/mempool`, { timeout: 15000 }),
-      axios.get(`${RPC.BTC}/address/${ADDR.BTC}`, { timeout: 15000 })
-    ]);
-    const items = [...(confirmed.data || []), ...(mempool.data || [])];
-    const funded = (addrInfo.data?.chain_stats?.funded_txo_sum || 0);
-    const spent = (addrInfo.data?.chain_stats?.spent_txo_sum || 0);
-    const totalBtc = (funded - spent) / 1e8;
-
-    for (const tx of items.slice(0, 60)) {
-      const txid = tx.txid;
-      if (seen.has(txid)) continue;
-      const outs = (tx.vout || []).filter(v => v.scriptpubkey_address === ADDR.BTC);
-      if (!outs.length) continue;
-      const isConfirmed = tx.status?.confirmed ? 1 : 0;
-      if (isConfirmed < CONF.BTC) continue;
-
-      const amtBtc = outs.reduce((a, v) => a + (v.value || 0), 0) / 1e8;
-      seen.add(txid);
-
-      const prices = await getPrices();
-      const usd = toUSD('BTC', amtBtc, prices);
-      const tickets = ticketsForUSD(usd);
-      if (tickets > 0) {
-        const from = (tx.vin?.[0]?.prevout?.scriptpubkey_address) || 'unknown';
-        addEntry('BTC', { from, amount: amtBtc, usd, tickets, txid, ts: Date.now() });
-        await postToChannel(
-          [
-            'Entry accepted (BTC)',
-            `Amount: ${fmt(amtBtc)} BTC (~$${usd})`,
-            `Tickets: ${tickets}`,
-            `Progress: $${grand.usdTotal.toFixed(2)} / $${ROUND_TARGET_USD}`
-          ].join('\n')
-        );
-      } else {
-        await postToChannel(
-          [
-            'Deposit (BTC) did not match entry rule',
-            `Required: $${ENTRY_USD} +/- ${Math.round(ENTRY_TOL * 100)}%`,
-            `Amount: ${fmt(amtBtc)} BTC (~$${usd})`
-          ].join('\n')
-        );
-      }
-
-      if (reachedUsdTarget()) await runUsdDraw();
-      else {
-        await postToChannel(
-          [
-            'New Deposit',
-            'Token: BTC',
-            `Amount: ${fmt(amtBtc)} BTC`,
-            `Total Wallet: ${fmt(totalBtc)} BTC`
-          ].join('\n')
-        );
-      }
-    }
-  } catch (_) {}
+const restored = loadState();
+for (const pot of potKeys()) startRoundClock(pot);
+if (restored) {
+  for (const pot of potKeys()) {
+    console.log(`State restored: round ${roundRef(pot, currentRoundId(pot))}, ${potEntries(pot).length} entries, $${potUsd(pot).toFixed(2)} collected${draws[pot] ? `, draw ${draws[pot].status}` : ''}`);
+  }
 }
 
-function makeEvmWatcher(label, provider, toAddr, confirmsNeeded) {
-  let lastBlock = 0;
-  return async function tick() {
-    if (!toAddr) return;
-    try {
-      const tip = await provider.getBlockNumber();
-      if (!lastBlock) lastBlock = tip - 3;
-      const from = Math.max(lastBlock + 1, tip - 6);
-      for (let bn = from; bn <= tip - confirmsNeeded + 1; bn++) {
-        const block = await provider.getBlock(bn, true);
-        if (!block?.transactions) continue;
-        for (const tx of block.transactions) {
-          if (!tx.to) continue;
-          if (tx.to.toLowerCase() !== toAddr.toLowerCase()) continue;
-          const hash = tx.hash;
-          if (seen.has(hash)) continue;
-
-          const amount = Number(ethers.formatEther(tx.value));
-          seen.add(hash);
-
-          const prices = await getPrices();
-          const usd = toUSD(label, amount, prices);
-          const tickets = ticketsForUSD(usd);
-          if (tickets > 0) {
-            const fromAddr = tx.from || 'unknown';
-            addEntry(label, { from: fromAddr, amount, usd, tickets, txid: hash, ts: Date.now() });
-            await postToChannel(
-              [
-                `Entry accepted (${label})`,
-                `Amount: ${fmt(amount, 6)} ${label} (~$${usd})`,
-                `Tickets: ${tickets}`,
-                `Progress: $${grand.usdTotal.toFixed(2)} / $${ROUND_TARGET_USD}`
-              ].join('\n')
-            );
-          } else {
-            await postToChannel(
-              [
-                `Deposit (${label}) did not match entry rule`,
-                `Required: $${ENTRY_USD} +/- ${Math.round(ENTRY_TOL * 100)}%`,
-                `Amount: ${fmt(amount, 6)} ${label} (~$${usd})`
-              ].join('\n')
-            );
-          }
-
-          if (reachedUsdTarget()) await runUsdDraw();
-          else {
-            const total = Number(ethers.formatEther(await provider.getBalance(toAddr)));
-            await postToChannel(
-              [
-                'New Deposit',
-                `Token: ${label}`,
-                `Amount: ${fmt(amount, 6)} ${label}`,
-                `Total Wallet: ${fmt(total, 6)} ${label}`
-              ].join('\n')
-            );
-          }
-        }
-      }
-      lastBlock = tip - confirmsNeeded + 1;
-    } catch (_) {}
+function serial(fn) {
+  let busy = false;
+  return async () => {
+    if (busy) return;
+    busy = true;
+    try { await fn(); } finally { busy = false; }
   };
 }
-const pollETH = makeEvmWatcher('ETH', providerETH, ADDR.ETH || '', CONF.EVM);
-const pollBNB = makeEvmWatcher('BNB', providerBNB, ADDR.BNB || '', CONF.EVM);
-
-let lastSolSig = null;
-async function pollSOL() {
-  if (!ADDR.SOL) return;
-  try {
-    const pub = new PublicKey(ADDR.SOL);
-    const sigs = await solConn.getSignaturesForAddress(pub, lastSolSig ? { before: lastSolSig } : {}, 60);
-    const list = sigs.slice().reverse();
-    const totalLamports = await solConn.getBalance(pub, 'confirmed');
-    const totalSOL = totalLamports / 1e9;
 
-    for (const s of list) {
-      if (seen.has(s.signature)) continue;
-      const tx = await solConn.getParsedTransaction(s.signature, { maxSupportedTransactionVersion: 0 });
-      if (!tx?.meta) continue;
-      const ixs = tx.transaction?.message?.instructions || [];
-      for (const ins of ixs) {
-        const p = ins.parsed;
-        if (p?.type === 'transfer' && p?.info?.destination === ADDR.SOL) {
-          const lamports = Number(p.info.lamports || 0);
-          const sol = lamports / 1e9;
-          seen.add(s.signature);
-
-          const prices = await getPrices();
-          const usd = toUSD('SOL', sol, prices);
-          const tickets = ticketsForUSD(usd);
-          if (tickets > 0) {
-            const fromAddr = p?.info?.source || 'unknown';
-            addEntry('SOL', { from: fromAddr, amount: sol, usd, tickets, txid: s.signature, ts: Date.now() });
-            await postToChannel(
-              [
-                'Entry accepted (SOL)',
-                `Amount: ${fmt(sol, 6)} SOL (~$${usd})`,
-                `Tickets: ${tickets}`,
-                `Progress: $${grand.usdTotal.toFixed(2)} / $${ROUND_TARGET_USD}`
-              ].join('\n')
-            );
-          } else {
-            await postToChannel(
-              [
-                'Deposit (SOL) did not match entry rule',
-                `Required: $${ENTRY_USD} +/- ${Math.round(ENTRY_TOL * 100)}%`,
-                `Amount: ${fmt(sol, 6)} SOL (~$${usd})`
-              ].join('\n')
-            );
-          }
+setInterval(serial(pollDraw), DRAW_POLL_MS);
+const recheckTick = serial(recheckEntries);
+setInterval(recheckTick, ENTRY_RECHECK_MIN * 60 * 1000);
 
-          if (reachedUsdTarget()) await runUsdDraw();
-          else {
-            await postToChannel(
-              [
-                'New Deposit',
-                'Token: SOL',
-                `Amount: ${fmt(sol, 6)} SOL`,
-                `Total Wallet: ${fmt(totalSOL, 6)} SOL`
-              ].join('\n')
-            );
-          }
-          break;
-        }
-      }
+function healthOf(key) {
+  return chainHealth[key] ||= { lastRunAt: null, lastOkAt: null, rpcErrors: 0, consecutive: 0, lastError: null, alertedAt: null, retryAt: null };
+}
+function noteRpcError(key, e) {
+  const h = healthOf(key);
+  h.rpcErrors++;
+  h.lastError = { message: String(e?.message || e), at: Date.now() };
+}
+function watcherProblem(chain, now = Date.now()) {
+  const h = healthOf(chain.key);
+  if (h.consecutive >= WATCHER_ALERT_ERRORS) return `${h.consecutive} scans failed in a row`;
+  const since = h.lastOkAt || STARTED_AT;
+  if (now - since > WATCHER_STALE_MIN * 60 * 1000) return `no successful scan for ${countdownText(now - since)}`;
+  return null;
+}
+function chainStatus(chain, now = Date.now()) {
+  const h = healthOf(chain.key);
+  const scanned = typeof checkpoints[chain.key] === 'number' ? checkpoints[chain.key] : null;
+  const tip = chain.lastTip ?? null;
+  return {
+    chain: chain.key,
+    tip,
+    scannedHeight: scanned,
+    lagBlocks: tip != null && scanned != null ? Math.max(0, tip - scanned) : null,
+    lagSec: h.lastOkAt ? Math.round((now - h.lastOkAt) / 1000) : null,
+    rpcErrors: h.rpcErrors,
+    consecutiveErrors: h.consecutive,
+    backoffSec: h.retryAt > now ? Math.round((h.retryAt - now) / 1000) : 0,
+    batchBlocks: chain.batch ?? null,
+    lastErrorAt: h.lastError?.at ?? null,
+    problem: ENABLE_WATCHERS ? watcherProblem(chain, now) : null
+  };
+}
+function healthReport() {
+  const now = Date.now();
+  const chains = Object.values(CHAINS).filter(c => c.address).map(c => chainStatus(c, now));
+  const priceAgeSec = Object.fromEntries(pricedSymbols().map(sym => [
+    sym,
+    isPegged(sym) ? 0 : priceQuotes[sym] ? Math.round((now - priceQuotes[sym].ts) / 1000) : null
+  ]));
+  const stalePrices = NATIVE_ASSETS.filter(sym => !priceQuote(sym));
+  return {
+    ok: !chains.some(c => c.problem) && !stalePrices.length,
+    uptimeSec: Math.round((now - STARTED_AT) / 1000),
+    watchers: ENABLE_WATCHERS,
+    chains,
+    priceAgeSec,
+    stalePrices,
+    priceErrors: Object.fromEntries(PRICE_PROVIDERS.map(p => [p, metrics.priceErrors[p] || 0])),
+    telegramErrors: metrics.telegramErrors,
+    drawErrors: metrics.drawErrors
+  };
+}
+function metricsText() {
+  const r = healthReport();
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) if (value != null) lines.push(`${name}${labels} ${value}`);
+  };
+  const byChain = f => r.chains.map(c => [`{chain="${c.chain}"}`, f(c)]);
+  metric('vault50_up', 'gauge', 'All watchers are scanning and native prices are fresh.', [['', r.ok ? 1 : 0]]);
+  metric('vault50_uptime_seconds', 'gauge', 'Seconds since the bot started.', [['', r.uptimeSec]]);
+  metric('vault50_chain_tip_height', 'gauge', 'Latest block height seen by the watcher.', byChain(c => c.tip));
+  metric('vault50_watcher_scanned_height', 'gauge', 'Last block height scanned up to.', byChain(c => c.scannedHeight));
+  metric('vault50_watcher_lag_blocks', 'gauge', 'Blocks between the tip and the scanned height.', byChain(c => c.lagBlocks));
+  metric('vault50_watcher_lag_seconds', 'gauge', 'Seconds since the last successful scan.', byChain(c => c.lagSec));
+  metric('vault50_watcher_consecutive_errors', 'gauge', 'Scans failed in a row.', byChain(c => c.consecutiveErrors));
+  metric('vault50_rpc_errors_total', 'counter', 'RPC errors per chain.', byChain(c => c.rpcErrors));
+  metric('vault50_watcher_backoff_seconds', 'gauge', 'Seconds until the next scan after failures.', byChain(c => c.backoffSec));
+  metric('vault50_watcher_batch_blocks', 'gauge', 'Blocks fetched per scan batch.', byChain(c => c.batchBlocks));
+  metric('vault50_price_age_seconds', 'gauge', 'Age of the USD quote per asset.', Object.entries(r.priceAgeSec).map(([sym, v]) => [`{asset="${sym}"}`, v]));
+  metric('vault50_price_source_errors_total', 'counter', 'Failed fetches per price source.', Object.entries(r.priceErrors).map(([p, v]) => [`{source="${p}"}`, v]));
+  metric('vault50_telegram_send_errors_total', 'counter', 'Telegram messages that failed to send.', [['', r.telegramErrors]]);
+  metric('vault50_draw_errors_total', 'counter', 'Failed draw checks.', [['', r.drawErrors]]);
+  return `${lines.join('\n')}\n`;
+}
+async function checkWatchers() {
+  for (const chain of Object.values(CHAINS).filter(c => c.address)) {
+    const h = healthOf(chain.key);
+    const problem = watcherProblem(chain);
+    if (problem && !h.alertedAt) {
+      h.alertedAt = Date.now();
+      const { scannedHeight, tip } = chainStatus(chain);
+      await notifyAdmins([
+        `Watcher alert: ${chain.key}`,
+        problem,
+        ...(h.lastError ? [`Last error: ${h.lastError.message}`] : []),
+        `Scanned up to: ${scannedHeight ?? 'n/a'} (tip ${tip ?? 'n/a'})`,
+        `New ${chain.key} deposits are not detected until it recovers. See /status.`
+      ].join('\n'));
+    } else if (!problem && h.alertedAt) {
+      h.alertedAt = null;
+      await notifyAdmins(`Watcher recovered: ${chain.key} is scanning again.`);
     }
-    if (sigs.length) lastSolSig = sigs[0].signature;
-  } catch (_) {}
+  }
 }
 
 if (ENABLE_WATCHERS) {
-  setInterval(pollBTC, 20000);
-  setInterval(pollETH, 12000);
-  setInterval(pollBNB, 12000);
-  setInterval(pollSOL, 20000);
+  for (const chain of Object.values(CHAINS).filter(c => c.address)) {
+    const tick = serial(async () => {
+      const h = healthOf(chain.key);
+      if (h.retryAt > Date.now()) return;
+      h.lastRunAt = Date.now();
+      try {
+        await chain.scan();
+        await checkUnconfirmed(chain);
+        await retryPayouts(chain.key);
+        Object.assign(h, { lastOkAt: Date.now(), consecutive: 0, retryAt: null });
+      } catch (e) {
+        noteRpcError(chain.key, e);
+        h.consecutive++;
+        h.retryAt = Date.now() + Math.min(RPC_BACKOFF_MAX_SEC * 1000, chain.pollMs * 2 ** h.consecutive);
+        console.error(`${chain.key} watcher error:`, e?.message);
+      }
+    });
+    tick();
+    setInterval(tick, chain.pollMs);
+  }
+  setInterval(serial(checkWatchers), 60000);
 }
 
-function howToEnterText(){
+function acceptedAssetsText(L) {
+  const active = Object.values(CHAINS).filter(c => c.address);
+  const list = active.length ? active : Object.values(CHAINS);
+  const natives = list.map(c => depositLabel(c.key, c.native, L));
+  const byTokens = {};
+  for (const c of active.filter(c => c.tokens.length)) {
+    (byTokens[[...new Set(c.tokens.map(t => t.symbol))].join('/')] ||= []).push(c.key);
+  }
+  const extra = Object.entries(byTokens).map(([symbols, keys]) => depositLabel(keys.join('/'), symbols, L));
+  const main = L.or(natives);
+  return extra.length ? L.t('assets.extra', { main, extra: extra.join(', ') }) : main;
+}
+
+function howToEnterText(L) {
+  const many = PRIZE_TIERS.length > 1;
+  const vars = { usd: L.usd(ENTRY_USD), count: PRIZE_TIERS.length, tiers: tiersText(PRIZE_TIERS, L) };
   return [
-    'How to Enter:',
-    `1) Send $${ENTRY_USD.toFixed(2)} worth of BTC, ETH, BNB, or SOL to one of our verified wallets (/audit).`,
-    `2) Each valid $${ENTRY_USD.toFixed(2)} deposit = 1 entry.`,
-    `3) Once the total pool reaches $${ROUND_TARGET_USD.toFixed(2)}, the bot automatically selects a random verified entrant.`,
-    `4) The winner receives ${Math.round(PAYOUT_PCT * 100)}% of the total pot.`,
+    L.t('enter.title'),
+    L.t('enter.1', { ...vars, assets: acceptedAssetsText(L) }),
+    L.t('enter.2', vars),
+    ROUND_MODE === 'per-chain'
+      ? L.t(many ? 'enter.3.chain.many' : 'enter.3.chain.one', { ...vars, targets: targetsText(L) })
+      : L.t(many ? 'enter.3.many' : 'enter.3.one', { ...vars, target: L.usd(ROUND_TARGET_USD) }),
+    L.t(many ? 'enter.4.many' : 'enter.4.one', vars),
     '',
-    'All entries and payouts are verified on-chain.',
-    'Use /pool for live totals or /proof to view the latest payout.'
+    L.t('enter.onchain'),
+    L.t('enter.more')
   ].join('\n');
 }
+function menuKeyboard(L) {
+  return {
+    inline_keyboard: [
+      [{ text: L.t('menu.pool'), callback_data: 'pool' }, { text: L.t('menu.howtoenter'), callback_data: 'howtoenter' }],
+      [{ text: L.t('menu.verifydraw'), callback_data: 'verifydraw' }],
+      ...Object.values(CHAINS).filter(c => c.address).map(c => [{ text: L.t('menu.copy', { chain: c.key }), copy_text: { text: c.address } }])
+    ]
+  };
+}
 
 bot.onText(/^\/start(?:@\w+)?$/i, (msg)=>{
+  const L = i18n(chatLang(msg));
   bot.sendMessage(msg.chat.id, [
-    'Welcome to Vault50.',
-    `Entry: $${ENTRY_USD.toFixed(2)} (±${Math.round(ENTRY_TOL*100)}%)`,
-    `Target pot: $${ROUND_TARGET_USD.toFixed(2)}`,
-    `Winner receives ${Math.round(PAYOUT_PCT * 100)}% of the pot.`,
+    L.t('start.welcome'),
+    L.t('start.entry', { usd: L.usd(ENTRY_USD), tol: L.pct(ENTRY_TOL) }),
+    L.t(ROUND_MODE === 'per-chain' ? 'start.targets' : 'start.target', { targets: targetsText(L) }),
+    prizeText(L),
+    ...(ROUND_MODE === 'per-chain' ? [] : deadlineLines(ALL_POT, L)),
     '',
-    howToEnterText()
-  ].join('\n'), { disable_web_page_preview: true });
+    howToEnterText(L)
+  ].join('\n'), { disable_web_page_preview: true, reply_markup: menuKeyboard(L) });
 });
 
 bot.onText(/^\/help(?:@\w+)?$/i, (msg) => {
+  const L = i18n(chatLang(msg));
+  const chainArg = ROUND_MODE === 'per-chain' ? '<chain> ' : '';
   bot.sendMessage(
     msg.chat.id,
     [
-      'Commands:',
-      '/howtoenter - How to enter and rules',
-      '/pool - Live pool totals',
-      '/target - Pot progress',
-      '/proof - Latest payout proof',
-      '/audit - Official wallets',
-      '/verify - How to verify on-chain',
-      '/stats - System stats'
+      L.t('help.title'),
+      L.t('help.howtoenter'),
+      L.t('help.pool'),
+      L.t('help.target'),
+      L.t('help.proof'),
+      L.t('help.history'),
+      L.t('help.round', { args: `${chainArg}<id>` }),
+      L.t('help.audit'),
+      L.t('help.link'),
+      L.t('help.myentries'),
+      ...(CLAIM_WINDOW_H ? [L.t('help.claim')] : []),
+      L.t('help.verify'),
+      L.t('help.verifydraw', { args: `${chainArg}<round>` }),
+      L.t('help.stats'),
+      L.t('help.config'),
+      L.t('help.lang')
     ].join('\n'),
     { disable_web_page_preview: true }
   );
 });
 
-bot.onText(/^\/howtoenter(?:@\w+)?$/i, (msg) => {
-  bot.sendMessage(msg.chat.id, howToEnterText(), { disable_web_page_preview: true });
+bot.onText(/^\/lang(?:@\w+)?(?:\s+(channel))?(?:\s+([A-Za-z]{2}))?$/i, async (msg, m) => {
+  const L = i18n(chatLang(msg));
+  const list = LANGS.map(l => `${l} (${MESSAGES[l]._name})`).join(', ');
+  const channel = !!m[1];
+  if (channel && (!CHAT_ID || !isAdmin(msg.from.id))) return;
+  if (!m[2]) {
+    const code = channel ? channelLang() : L.lang;
+    return bot.sendMessage(msg.chat.id, [
+      L.t(channel ? 'lang.channel' : 'lang.current', { name: MESSAGES[code]._name, code }),
+      L.t('lang.available', { list }),
+      L.t('lang.usage')
+    ].join('\n'));
+  }
+  const code = m[2].toLowerCase();
+  if (!MESSAGES[code]) return bot.sendMessage(msg.chat.id, L.t('lang.unknown', { list }));
+  if (!channel && msg.chat.type !== 'private' && !isAdmin(msg.from.id)) {
+    const member = await bot.getChatMember(msg.chat.id, msg.from.id).catch(() => null);
+    if (!['creator', 'administrator'].includes(member?.status)) return bot.sendMessage(msg.chat.id, L.t('lang.groupAdmin'));
+  }
+  langs[channel ? CHAT_ID : msg.chat.id] = code;
+  saveState();
+  bot.sendMessage(msg.chat.id, i18n(code).t(channel ? 'lang.channelSet' : 'lang.set', { name: MESSAGES[code]._name }));
 });
 
+function sendHowToEnter(msg) {
+  return bot.sendMessage(msg.chat.id, howToEnterText(i18n(chatLang(msg))), { disable_web_page_preview: true });
+}
+bot.onText(/^\/howtoenter(?:@\w+)?$/i, sendHowToEnter);
+
 bot.on('new_chat_members', async (msg) => {
+  const L = i18n(langs[msg.chat.id] || DEFAULT_LANG);
   const welcome = [
-    'Welcome to Vault50.',
+    L.t('start.welcome'),
     '',
-    `Entry: $${ENTRY_USD.toFixed(2)} in BTC / ETH / BNB / SOL`,
-    `Target: $${ROUND_TARGET_USD.toFixed(2)}`,
-    `Winner receives ${Math.round(PAYOUT_PCT * 100)}% of the pot.`,
+    L.t('welcome.entry', { usd: L.usd(ENTRY_USD), assets: NATIVE_ASSETS.join(' / ') }),
+    L.t('welcome.target', { targets: targetsText(L) }),
+    prizeText(L),
     '',
-    howToEnterText(),
+    howToEnterText(L),
     '',
-    'Quick commands:',
+    L.t('welcome.quick'),
     '/howtoenter  /pool  /target  /proof  /audit  /help'
   ];
   try {
-    await bot.sendMessage(msg.chat.id, welcome.join('\n'), { disable_web_page_preview: true });
-  } catch (_) {}
+    await bot.sendMessage(msg.chat.id, welcome.join('\n'), { disable_web_page_preview: true, reply_markup: menuKeyboard(L) });
+  } catch (e) { sendFailed('Welcome', e); }
 });
 
-bot.onText(/^\/pool(?:\s+update)?(?:@\w+)?$/i, async (msg) => {
-  try {
-    const btcInfo = await axios.get(`${RPC.BTC}/address/${ADDR.BTC}`, { timeout: 15000 }).then(r => r.data).catch(() => ({}));
-    const funded = (btcInfo?.chain_stats?.funded_txo_sum || 0);
-    const spent  = (btcInfo?.chain_stats?.spent_txo_sum || 0);
-    const btcTotal = (funded - spent) / 1e8;
-
-    const [ethWei, bnbWei, solLamports] = await Promise.all([
-      ADDR.ETH ? providerETH.getBalance(ADDR.ETH) : 0n,
-      ADDR.BNB ? providerBNB.getBalance(ADDR.BNB) : 0n,
-      ADDR.SOL ? solConn.getBalance(new PublicKey(ADDR.SOL), 'confirmed') : 0
-    ]);
-
-    const ethTotal = Number(ethers.formatEther(ethWei || 0n));
-    const bnbTotal = Number(ethers.formatEther(bnbWei || 0n));
-    const solTotal = (solLamports || 0) / 1e9;
+const MENU_ACTIONS = { pool: sendPool, howtoenter: sendHowToEnter, verifydraw: msg => sendVerifyDraw(msg) };
+bot.on('callback_query', async (q) => {
+  bot.answerCallbackQuery(q.id).catch(() => {});
+  const action = MENU_ACTIONS[q.data];
+  if (!action || !q.message) return;
+  try { await action({ chat: q.message.chat, from: q.from }); }
+  catch (e) { console.error('Menu error:', e?.message); }
+});
 
+async function sendPool(msg) {
+  const L = i18n(chatLang(msg), true);
+  try {
+    const pending = pendingConfirmationLines(L);
     bot.sendMessage(
       msg.chat.id,
       [
-        'Pool Totals',
-        `BTC: ${fmt(btcTotal)} BTC`,
-        `ETH: ${fmt(ethTotal, 6)} ETH`,
-        `BNB: ${fmt(bnbTotal, 6)} BNB`,
-        `SOL: ${fmt(solTotal, 6)} SOL`,
+        L.t('pool.title'),
+        ...(await poolBalanceLines(L)),
+        ...(pending.length ? ['', L.t('pool.pending'), ...pending] : []),
         '',
-        `USD Target: $${ROUND_TARGET_USD.toFixed(2)}`,
-        `Progress this round: $${grand.usdTotal.toFixed(2)} (${Math.min(100, Math.round(100 * grand.usdTotal / ROUND_TARGET_USD))}%)`
-      ].join('\n')
+        ...(ROUND_MODE === 'per-chain'
+          ? [L.t('pool.pots'), ...potLines(L)]
+          : [L.t('pool.usdTarget', { target: L.usd(ROUND_TARGET_USD) }), L.t('pool.progress', { usd: L.usd(potUsd(ALL_POT)), pct: L.pct(potProgress(ALL_POT).pct / 100) })])
+      ].join('\n'),
+      HTML
     );
   } catch {
-    bot.sendMessage(msg.chat.id, 'Error fetching totals.');
+    bot.sendMessage(msg.chat.id, L.t('pool.error'), HTML);
+  }
+}
+bot.onText(/^\/pool(?:\s+update)?(?:@\w+)?$/i, sendPool);
+
+function paidText(payout, L = i18n('en')) {
+  return `${payout.paid.map(p => `${L.num(p.amount, 6)} ${p.asset}`).join(' + ')} (~${L.usd(payout.paidUsd)})`;
+}
+function entryLine(symbol, e, L) {
+  const asset = e.asset || symbol;
+  const label = asset === symbol ? symbol : `${asset}/${symbol}`;
+  const px = e.price ? ` @ ${L.usd(e.price.usd, 4)} ${L.t('entry.via', { sources: Object.keys(e.price.sources).join('/') })}` : '';
+  return `${label} ${L.num(e.amount, 6)} (~${L.usd(e.usd)}${px}) x${e.tickets} — ${L.addr(symbol, e.from)} — TX ${L.tx(symbol, e.txid)}`;
+}
+
+function publicEntry(symbol, e) {
+  return {
+    chain: symbol,
+    asset: e.asset || symbol,
+    amount: e.amount,
+    usd: Number(Number(e.usd).toFixed(2)),
+    tickets: e.tickets,
+    from: e.from,
+    txid: e.txid,
+    price: e.price || null,
+    block: e.block || null,
+    ts: e.ts
+  };
+}
+function roundEntries(r) {
+  return COINS.flatMap(s => (r.entries?.[s] || []).map(e => publicEntry(s, e)));
+}
+function apiPot(pot) {
+  const r = roundRecord(pot, currentRoundId(pot));
+  const entries = roundEntries(r);
+  const target = potTarget(pot);
+  const clock = roundClocks[pot];
+  return {
+    pot,
+    roundId: r.roundId,
+    status: r.status,
+    startedAt: new Date(r.startedAt).toISOString(),
+    totalUsd: Number(r.totalUsd),
+    targetUsd: target.unit === 'usd' ? target.amount : null,
+    target: target.unit === 'usd' ? target : { ...target, asset: CHAINS[pot].native },
+    progressPct: potProgress(pot).pct,
+    entryUsd: ENTRY_USD,
+    entryTolerance: ENTRY_TOL,
+    payoutPct: payoutShare(),
+    prizeTiers: PRIZE_TIERS,
+    deadline: clock?.deadline ? new Date(clock.deadline).toISOString() : null,
+    deadlinePolicy: clock?.deadline ? ROUND_DEADLINE_POLICY : null,
+    minEntrants: ROUND_MIN_ENTRANTS,
+    entrants: uniqueEntrants(pot),
+    entries: entries.length,
+    tickets: entries.reduce((n, e) => n + e.tickets, 0),
+    queuedEntries: queuedEntries.filter(q => potOf(q.symbol) === pot).length,
+    awaitingConfirmations: unconfirmedDeposits.filter(d => potCoins(pot).includes(d.chain)).length,
+    draw: r.tickets ? drawSummary(r) : null
+  };
+}
+function apiRound(chainParam) {
+  if (!chainParam && ROUND_MODE === 'per-chain') return { mode: ROUND_MODE, pots: potKeys().map(apiPot) };
+  const pot = parsePot(chainParam);
+  return potKeys().includes(pot) ? { mode: ROUND_MODE, ...apiPot(pot) } : null;
+}
+function apiEntries(roundParam, chainParam) {
+  const pot = parsePot(chainParam);
+  if (!pot) return null;
+  const active = potKeys().includes(pot);
+  if (!roundParam && !active) return null;
+  const roundId = roundParam ? Number(roundParam) : currentRoundId(pot);
+  const r = roundRecord(pot, roundId);
+  if (!r) return null;
+  const live = active && roundId === currentRoundId(pot);
+  return {
+    pot,
+    roundId,
+    status: r.status,
+    entries: roundEntries(r),
+    queued: live ? queuedEntries.filter(q => potOf(q.symbol) === pot).map(q => publicEntry(q.symbol, q)) : [],
+    awaitingConfirmations: live
+      ? unconfirmedDeposits.filter(d => potCoins(pot).includes(d.chain)).map(d => ({ chain: d.chain, asset: d.asset, amount: d.amount, from: d.from, txid: d.txid, confirmations: d.confirmations, required: CHAINS[d.chain]?.confirms ?? null }))
+      : []
+  };
+}
+function drawSummary(r) {
+  return {
+    target: r.target || null,
+    ...(r.totalNative != null ? { native: r.native, totalNative: r.totalNative } : {}),
+    ticketsHash: r.ticketsHash,
+    ticketCount: r.tickets.length,
+    seed: r.seed,
+    tiers: r.tiers || null,
+    hash: r.hash || null,
+    winners: roundWinners(r).map(w => ({
+      tier: w.tier,
+      pct: w.pct,
+      hash: w.hash,
+      index: w.index,
+      of: w.of,
+      ticket: w.ticket,
+      winner: publicEntry(w.winner.symbol, w.winner),
+      payoutUsd: Number(w.payoutUsd.toFixed(2)),
+      ...(w.payoutNative != null ? { payoutNative: w.payoutNative } : {}),
+      pick: pickOf(w),
+      claim: publicClaim(w.claim),
+      payout: w.payout
+    })),
+    unclaimed: (r.unclaimed || []).map(w => ({
+      tier: w.tier,
+      pick: pickOf(w),
+      hash: w.hash,
+      index: w.index,
+      of: w.of,
+      ticket: w.ticket,
+      winner: publicEntry(w.winner.symbol, w.winner),
+      claim: publicClaim(w.claim),
+      expiredAt: w.expiredAt
+    }))
+  };
+}
+function publicClaim(c) {
+  return c ? { code: c.code, deadline: c.deadline, claimedAt: c.claimedAt, payTo: c.payTo, method: c.method || null } : null;
+}
+function recomputeDraw(r) {
+  const ticketsHash = sha256(r.tickets.join('\n'));
+  const hash = r.seed.blockHash ? sha256(`${ticketsHash}:${r.seed.blockHash}`) : null;
+  const recorded = drawPicks(r);
+  const picks = hash ? drawWinners(r.tickets, hash, Math.max(r.tiers?.length || 1, ...recorded.map(w => pickOf(w) + 1))) : [];
+  return {
+    ticketsHash,
+    hash,
+    picks,
+    matches: hash ? hash === r.hash && picks.length === recorded.length && recorded.every(w => picks[pickOf(w)]?.index === w.index && picks[pickOf(w)]?.ticket === w.ticket) : null
+  };
+}
+function apiVoided(r) {
+  return (r.voided || []).map(v => ({
+    committedAt: v.committedAt,
+    voidedAt: v.voidedAt,
+    voidedBy: { chain: v.voidedChain, txid: v.voidedTx },
+    seed: { chain: v.seed.chain, height: v.seed.height },
+    tickets: v.tickets,
+    ticketsHash: v.ticketsHash,
+    ticketsHashMatches: sha256(v.tickets.join('\n')) === v.ticketsHash
+  }));
+}
+function apiDraw(pot, roundId) {
+  const r = pot && roundRecord(pot, roundId);
+  if (r?.voided && !r.tickets) return { pot, roundId: r.roundId, status: r.status, voided: apiVoided(r) };
+  if (!r?.tickets) return null;
+  const { ticketsHash, hash, picks, matches } = recomputeDraw(r);
+  return {
+    pot,
+    roundId: r.roundId,
+    status: r.status,
+    ...drawSummary(r),
+    tickets: r.tickets,
+    method: 'ticketsHash = sha256(tickets joined by "\\n"); hash = sha256(ticketsHash + ":" + seed.blockHash); tier k (from 1) uses hash for k = 1, else sha256(hash + ":" + (k - 1)); index = first 16 hex digits of that mod the remaining ticket count; every copy of the picked ticket is removed before the next tier; a prize not claimed in time goes to the next pick of the same sequence',
+    check: {
+      ticketsHash,
+      ticketsHashMatches: ticketsHash === r.ticketsHash,
+      hash,
+      picks: picks.map(({ tier, index, ticket }) => ({ pick: tier - 1, tier: drawPicks(r).find(w => pickOf(w) === tier - 1)?.tier ?? tier, index, ticket })),
+      matches
+    },
+    ...(r.voided ? { voided: apiVoided(r) } : {})
+  };
+}
+function apiWallets() {
+  return {
+    chains: Object.values(CHAINS).map(c => ({
+      chain: c.key,
+      type: c.type,
+      native: c.native,
+      address: c.address || null,
+      confirmations: c.confirms,
+      tokens: c.tokens.map(t => (t.mint ? { symbol: t.symbol, mint: t.mint } : { symbol: t.symbol, contract: t.address }))
+    })),
+    drawSeedChain: DRAW_SEED_CHAIN,
+    roundMode: ROUND_MODE
+  };
+}
+
+bot.onText(/^\/proof(?:@\w+)?$/i, (msg) => {
+  const L = i18n(chatLang(msg), true);
+  const r = roundHistory.filter(x => x.status === 'paid').pop();
+  if (!r) return bot.sendMessage(msg.chat.id, DEFAULT_PROOF ? L.esc(DEFAULT_PROOF) : L.t('proof.none'), HTML);
+  const winners = roundWinners(r);
+  const pot = r.pot || ALL_POT;
+  bot.sendMessage(
+    msg.chat.id,
+    [
+      L.t('proof.title'),
+      L.t('proof.round', { round: roundRef(pot, r.roundId), amount: collectedText(r, L) }),
+      ...winners.flatMap(w => [
+        ...(winners.length > 1 ? ['', `${tierName(w, L)} (${L.pct(w.pct)})`] : []),
+        L.t('proof.winner', { address: L.addr(w.winner.symbol, w.winner.from) }),
+        L.t('won.dm.entry', { chain: w.winner.symbol, txid: L.tx(w.winner.symbol, w.winner.txid) }),
+        L.t('paid.paid', { amount: paidText(w.payout, L) }),
+        L.t('proof.tx', { chain: w.payout.symbol, txid: L.tx(w.payout.symbol, w.payout.txid) }),
+        ...(w.payout.to && w.payout.to !== w.winner.from ? [L.t('paid.to', { address: L.addr(w.payout.symbol, w.payout.to) })] : []),
+        L.t('proof.at', { date: L.date(w.payout.verifiedAt) })
+      ]),
+      '',
+      L.t('proof.more', { arg: roundArg(pot, r.roundId) })
+    ].join('\n'),
+    HTML
+  );
+});
+
+bot.onText(/^\/history(?:@\w+)?$/i, (msg) => {
+  const L = i18n(chatLang(msg), true);
+  const recent = roundHistory.slice(-10).reverse();
+  if (!recent.length) return bot.sendMessage(msg.chat.id, L.t('history.none'), HTML);
+  const lines = [L.t('history.title')];
+  for (const r of recent) {
+    const outcome = r.status === 'paid'
+      ? new Html(roundWinners(r).map(w => L.t('history.winner', { address: L.addr(w.winner.symbol, w.winner.from), amount: paidText(w.payout, L) })).join('; '))
+      : statusText(r.status, L);
+    lines.push(L.t('history.line', { round: roundRef(r.pot || ALL_POT, r.roundId), date: L.day(r.closedAt), amount: collectedText(r, L), outcome }));
   }
+  lines.push('', L.t('history.details', { args: `${ROUND_MODE === 'per-chain' ? '<chain> ' : ''}<id>` }));
+  sendLong(msg.chat.id, lines, HTML);
 });
 
-bot.onText(/^\/proof(?:@\w+)?$/i, (msg) => bot.sendMessage(msg.chat.id, DEFAULT_PROOF));
+bot.onText(/^\/round(?:@\w+)?\s+(?:([A-Za-z]+)\s+)?#?(\d+)$/i, (msg, m) => {
+  const L = i18n(chatLang(msg), true);
+  const pot = parsePot(m[1]);
+  if (!pot) return bot.sendMessage(msg.chat.id, L.t('round.nameChain', { chains: COINS.join('|') }), HTML);
+  const roundId = Number(m[2]);
+  const r = roundRecord(pot, roundId);
+  if (!r) return bot.sendMessage(msg.chat.id, L.t('round.none', { round: roundRef(pot, roundId) }), HTML);
+
+  const all = COINS.flatMap(s => (r.entries?.[s] || []).map(e => [s, e]));
+  const lines = [
+    L.t('round.title', { round: roundRef(pot, r.roundId), status: statusText(r.status, L) }),
+    L.t('round.opened', { date: L.date(r.startedAt) }),
+    ...(r.closedAt ? [L.t('round.closed', { date: L.date(r.closedAt) })] : []),
+    L.t('round.pot', { amount: collectedText(r, L) }),
+    L.t('round.entries', { entries: all.length, tickets: all.reduce((n, [, e]) => n + e.tickets, 0) }),
+    '',
+    L.t('round.tickets')
+  ];
+  for (const [s, e] of all) lines.push(entryLine(s, e, L));
+  if (r.tickets) {
+    lines.push(
+      '',
+      L.t('won.proof'),
+      `tickets.hash: ${r.ticketsHash}`,
+      `seed.block: ${r.seed.chain} #${r.seed.height}`,
+      `seed.blockHash: ${r.seed.blockHash || L.t('round.pending')}`
+    );
+    if (r.hash) lines.push(`seed.hash: ${r.hash}`);
+  }
+  const winners = roundWinners(r);
+  for (const w of winners) {
+    const vars = { tier: tierName(w, L), address: L.addr(w.winner.symbol, w.winner.from), index: w.index, last: w.of - 1 };
+    lines.push(
+      '',
+      L.t(winners.length > 1 ? 'round.tierWinner' : 'round.winner', vars),
+      L.t('won.dm.entry', { chain: w.winner.symbol, txid: L.tx(w.winner.symbol, w.winner.txid) })
+    );
+    if (claimPending(w)) lines.push(L.t('round.claimOpen', { date: L.date(w.claim.deadline) }));
+    else if (payoutAddress(w) !== w.winner.from) lines.push(L.t('claim.payTo', { address: L.addr(w.winner.symbol, payoutAddress(w)) }));
+    if (w.payout) lines.push(L.t('paid.paid', { amount: paidText(w.payout, L) }), L.t('proof.tx', { chain: w.payout.symbol, txid: L.tx(w.payout.symbol, w.payout.txid) }));
+  }
+  for (const w of r.unclaimed || []) lines.push('', L.t('redraw.expired', { tier: tierName(w, L), address: L.addr(w.winner.symbol, w.winner.from) }));
+  sendLong(msg.chat.id, lines, HTML);
+});
 
 bot.onText(/^\/stats(?:@\w+)?$/i, (msg) => {
+  const L = i18n(chatLang(msg));
   const uptimeH = Math.floor(process.uptime() / 3600);
   bot.sendMessage(
     msg.chat.id,
     [
-      'Stats',
-      `Uptime: ${uptimeH}h`,
-      `USD this round: $${grand.usdTotal.toFixed(2)}`,
-      `Entry: $${ENTRY_USD.toFixed(2)} (+/- ${Math.round(ENTRY_TOL * 100)}%)`,
-      `Payout: ${Math.round(PAYOUT_PCT * 100)}%`
+      L.t('stats.title'),
+      L.t('stats.uptime', { hours: uptimeH }),
+      ...(ROUND_MODE === 'per-chain' ? [L.t('pool.pots'), ...potLines(L)] : [L.t('stats.usd', { usd: L.usd(potUsd(ALL_POT)) })]),
+      L.t('stats.entry', { usd: L.usd(ENTRY_USD), tol: L.pct(ENTRY_TOL) }),
+      L.t('stats.payout', { tiers: tiersText(PRIZE_TIERS, L) })
     ].join('\n')
   );
 });
 
-bot.onText(/^\/audit(?:@\w+)?$/i, (msg) => {
+bot.onText(/^\/audit(?:@\w+)?$/i, async (msg) => {
+  const L = i18n(chatLang(msg), true);
+  const tokenBalances = await fetchTokenBalances();
+  const lines = [
+    L.t('audit.title'),
+    ...Object.values(CHAINS).map(c => `${c.key}: ${L.addr(c.key, c.address)}`)
+  ];
+  if (tokenBalances.length) {
+    lines.push('', L.t('audit.tokens'));
+    for (const t of tokenBalances) {
+      lines.push(`${t.symbol} (${t.chain}) ${CHAINS[t.chain].tokenRef(t, L)} — ${L.t('audit.balance', { amount: t.balance == null ? L.t('common.na') : L.num(t.balance, 2) })}`);
+    }
+  }
+  await bot.sendMessage(msg.chat.id, lines.join('\n'), HTML);
+  if (!ENABLE_QR) return;
+  for (const c of Object.values(CHAINS).filter(c => c.address)) {
+    try {
+      await bot.sendPhoto(msg.chat.id, await qrPhoto(c.address), { caption: L.t('audit.qr', { chain: c.key, address: c.address }), parse_mode: 'HTML' }, { filename: `${c.key}.png`, contentType: 'image/png' });
+    } catch (e) { sendFailed('QR send', e); }
+  }
+});
+
+bot.onText(/^\/verify(?:@\w+)?$/i, (msg) => {
+  const L = i18n(chatLang(msg));
   bot.sendMessage(
     msg.chat.id,
     [
-      'Audit — Official Wallets',
-      `BTC: ${ADDR.BTC}`,
-      `ETH: ${ADDR.ETH}`,
-      `BNB: ${ADDR.BNB}`,
-      `SOL: ${ADDR.SOL}`
+      L.t('verify.title'),
+      L.t('verify.1'),
+      L.t('verify.2'),
+      L.t('verify.3'),
+      L.t('verify.4'),
+      L.t('verify.4tiers'),
+      ...(ROUND_MODE === 'per-chain' ? [L.t('verify.4chain')] : []),
+      L.t('verify.5'),
+      ...(PUBLIC_URL ? [L.t('verify.6', { url: PUBLIC_URL })] : [])
     ].join('\n')
   );
 });
 
-bot.onText(/^\/verify(?:@\w+)?$/i, (msg) => {
-  bot.sendMessage(
+function voidedLines(voided, L) {
+  return (voided || []).flatMap(v => {
+    const ticketsHash = sha256(v.tickets.join('\n'));
+    return [
+      '',
+      L.t('vd.voided', { date: L.date(v.voidedAt), txid: L.tx(v.voidedChain, v.voidedTx) }),
+      L.t('vd.tickets', { count: v.tickets.length }),
+      `tickets.hash: ${ticketsHash} (${L.t(ticketsHash === v.ticketsHash ? 'vd.matchesCommit' : 'vd.mismatch')})`,
+      `seed.block: ${v.seed.chain} #${v.seed.height}`
+    ];
+  });
+}
+async function sendVerifyDraw(msg, m = []) {
+  const L = i18n(chatLang(msg), true);
+  const pot = parsePot(m[1]);
+  if (m[1] && !pot) return bot.sendMessage(msg.chat.id, L.t('common.unknownChain', { chains: COINS.join(', ') }), HTML);
+  if (!pot && m[2]) return bot.sendMessage(msg.chat.id, L.t('vd.nameChain', { chains: COINS.join('|'), id: m[2] }), HTML);
+  const pots = pot ? [pot] : potKeys();
+  const draw = m[2]
+    ? roundRecord(pot, Number(m[2]))
+    : pots.map(p => draws[p]).filter(Boolean).sort((a, b) => b.committedAt - a.committedAt)[0] || lastDrawn(pots);
+  if (draw?.voided && !draw.tickets) {
+    return bot.sendMessage(msg.chat.id, [L.t('vd.title', { round: roundRef(pot, draw.roundId) }), ...voidedLines(draw.voided, L)].join('\n'), HTML);
+  }
+  if (!draw?.tickets) return bot.sendMessage(msg.chat.id, m[2] ? L.t('vd.noneRound', { round: roundRef(pot, Number(m[2])) }) : L.t('vd.none'), HTML);
+  const drawPot = draw.pot;
+  const voided = draw.voided || (m[2] ? null : roundRecord(drawPot, draw.roundId)?.voided);
+
+  const ticketsHash = sha256(draw.tickets.join('\n'));
+  const lines = [
+    L.t('vd.title', { round: roundRef(drawPot, draw.roundId) }),
+    L.t('vd.tickets', { count: draw.tickets.length }),
+    `tickets.hash: ${ticketsHash} (${L.t(ticketsHash === draw.ticketsHash ? 'vd.matchesCommit' : 'vd.mismatch')})`
+  ];
+  if (potKeys().includes(drawPot) && draw.roundId === currentRoundId(drawPot)) {
+    const live = sha256(buildTicketBag(drawPot).map(ticketId).join('\n'));
+    lines.push(L.t('vd.live', { result: L.t(live === draw.ticketsHash ? 'vd.liveMatch' : 'vd.liveMismatch') }));
+  }
+  lines.push(`seed.block: ${draw.seed.chain} #${draw.seed.height}`);
+
+  if (!draw.hash) {
+    lines.push('', L.t(draw.status === 'committed' ? 'vd.notFinal' : 'vd.closed'), ...voidedLines(voided, L));
+    return bot.sendMessage(msg.chat.id, lines.join('\n'), HTML);
+  }
+
+  const chainHash = await fetchSeedBlock(draw.seed.chain, draw.seed.height).catch(() => null);
+  const { hash: h, picks } = recomputeDraw(draw);
+  const recorded = drawPicks(draw);
+  lines.push(
+    `seed.blockHash: ${draw.seed.blockHash} (${L.t(chainHash == null ? 'vd.unreachable' : chainHash === draw.seed.blockHash ? 'vd.matchesChain' : 'vd.mismatchChain')})`,
+    `seed.hash: ${h} (${L.t(h === draw.hash ? 'vd.ok' : 'vd.mismatch')})`
+  );
+  for (const p of picks) {
+    const w = recorded.find(x => pickOf(x) === p.tier - 1);
+    const ok = w && w.index === p.index && w.ticket === p.ticket;
+    const tier = !w ? tierName(p, L) : w.expiredAt ? L.t('vd.unclaimed', { tier: tierName(w, L) }) : pickOf(w) !== w.tier - 1 ? L.t('vd.redraw', { tier: tierName(w, L) }) : tierName(w, L);
+    lines.push(
+      ...(picks.length > 1 ? ['', p.tier > 1 ? L.t('vd.tierHash', { tier, hash: p.hash }) : tier] : []),
+      `index: ${p.index}/${p.of - 1} (${L.t(ok ? 'vd.ok' : 'vd.mismatch')})`,
+      L.t('vd.ticket', { ticket: p.ticket }),
+      w?.winner ? L.t('won.address', { address: L.addr(w.winner.symbol, w.winner.from) }) : L.t('vd.noWinner')
+    );
+  }
+  lines.push(...voidedLines(voided, L));
+  bot.sendMessage(msg.chat.id, lines.join('\n'), HTML);
+}
+bot.onText(/^\/verifydraw(?:@\w+)?(?:\s+([A-Za-z]+))?(?:\s+#?(\d+))?$/i, sendVerifyDraw);
+
+bot.onText(/^\/link(?:@\w+)?(?:\s+(\S+)\s+(\S+)(?:\s+(\S+))?)?$/i, async (msg, m) => {
+  const L = i18n(chatLang(msg), true);
+  if (!m[1]) return bot.sendMessage(msg.chat.id, L.t('link.usage', { chains: COINS.join('|') }), HTML);
+  const chain = m[1].toUpperCase();
+  const address = m[2];
+  if (!COINS.includes(chain)) return bot.sendMessage(msg.chat.id, L.t('common.unknownChain', { chains: COINS.join(', ') }), HTML);
+  if (!isValidAddress(chain, address)) return bot.sendMessage(msg.chat.id, L.t('link.invalid', { chain }), HTML);
+
+  const list = links[msg.from.id] || [];
+  const known = list.find(l => l.chain === chain && sameAddr(l.address, address));
+  if (!known && list.length >= LINK_MAX) return bot.sendMessage(msg.chat.id, L.t('link.limit', { max: LINK_MAX }), HTML);
+  const c = CHAINS[chain];
+  const text = linkMessage(msg.from.id, chain, address);
+  if (!m[3]) {
+    return bot.sendMessage(msg.chat.id, [
+      L.t('link.sign', { address: L.addr(chain, address), chain }),
+      '',
+      `<code>${L.esc(text)}</code>`,
+      '',
+      L.t(`claim.how.${c.type}`),
+      L.t('link.send', { chain, address })
+    ].join('\n'), HTML);
+  }
+  let method = null;
+  try { method = await c.verifyMessage(address, text, m[3]); } catch (_) {}
+  if (!method) return bot.sendMessage(msg.chat.id, L.t('link.badSignature', { address: L.addr(chain, address), chain, plain: address }), HTML);
+
+  if (known) Object.assign(known, { method, linkedAt: Date.now() });
+  else (links[msg.from.id] = list).push({ chain, address, method, linkedAt: Date.now() });
+  saveState();
+  await bot.sendMessage(
     msg.chat.id,
     [
-      'Verify:',
-      '1) Match winner address with deposit transaction in the draw post.',
-      '2) Open payout transaction; confirm from is pool wallet and to is winner.',
-      '3) Fairness: SHA-256 over (seed parts + list of TXIDs + totalUsd). Index = hash % totalTickets.'
+      L.t('link.done', { chain, address: L.addr(chain, address) }),
+      L.t('link.dm'),
+      L.t('link.start'),
+      L.t('link.mine')
+    ].join('\n'),
+    HTML
+  );
+});
+
+bot.onText(/^\/unlink(?:@\w+)?\s+(\S+)\s+(\S+)$/i, (msg, m) => {
+  const L = i18n(chatLang(msg), true);
+  const chain = m[1].toUpperCase();
+  const list = links[msg.from.id] || [];
+  const keep = list.filter(l => !(l.chain === chain && sameAddr(l.address, m[2])));
+  if (keep.length === list.length) return bot.sendMessage(msg.chat.id, L.t('unlink.none'), HTML);
+  if (keep.length) links[msg.from.id] = keep;
+  else delete links[msg.from.id];
+  saveState();
+  bot.sendMessage(msg.chat.id, L.t('unlink.done', { chain, address: L.addr(chain, m[2]) }), HTML);
+});
+
+bot.onText(/^\/myentries(?:@\w+)?$/i, (msg) => {
+  const L = i18n(chatLang(msg), true);
+  const mine = links[msg.from.id] || [];
+  if (!mine.length) return bot.sendMessage(msg.chat.id, L.t('mine.none'), HTML);
+  const isMine = (chain, e) => mine.some(l => l.chain === chain && sameAddr(l.address, e.from));
+
+  const lines = [
+    L.t('mine.title'),
+    L.t('mine.linked', { list: new Html(mine.map(l => `${l.chain} ${L.addr(l.chain, l.address)}`).join(', ')) }),
+    ''
+  ];
+  for (const pot of potKeys()) {
+    const id = currentRoundId(pot);
+    const current = potEntries(pot).filter(([s, e]) => isMine(s, e));
+    const next = queuedEntries.filter(q => potOf(q.symbol) === pot && isMine(q.symbol, q)).map(q => [q.symbol, q]);
+    if (pot !== ALL_POT && !current.length && !next.length) continue;
+    lines.push(L.t('mine.current', { round: roundRef(pot, id), tickets: current.reduce((n, [, e]) => n + e.tickets, 0) }));
+    for (const [s, e] of current) lines.push(entryLine(s, e, L));
+    if (next.length) {
+      lines.push(L.t('mine.queued', { round: roundRef(pot, id + 1), tickets: next.reduce((n, [, e]) => n + e.tickets, 0) }));
+      for (const [s, e] of next) lines.push(entryLine(s, e, L));
+    }
+  }
+  const pending = pendingConfirmationLines(L, d => isMine(d.chain, d));
+  if (pending.length) lines.push(L.t('pool.pending'), ...pending);
+
+  const past = roundHistory.slice().reverse()
+    .map(r => ({ r, list: COINS.flatMap(s => (r.entries?.[s] || []).filter(e => isMine(s, e)).map(e => [s, e])) }))
+    .filter(x => x.list.length)
+    .slice(0, 10);
+  if (past.length) lines.push('', L.t('mine.past'));
+  for (const { r, list } of past) {
+    const won = roundWinners(r).some(w => isMine(w.winner.symbol, w.winner));
+    lines.push(L.t(won ? 'mine.won' : 'mine.pastLine', { round: roundRef(r.pot || ALL_POT, r.roundId), tickets: list.reduce((n, [, e]) => n + e.tickets, 0) }));
+  }
+  sendLong(msg.chat.id, lines, HTML);
+});
+
+function openClaims() {
+  return potKeys().flatMap(pot => (draws[pot]?.status === 'drawn' ? draws[pot].winners.filter(claimPending).map(w => ({ draw: draws[pot], w })) : []));
+}
+bot.onText(/^\/claim(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?(?:\s+(\S+))?$/i, async (msg, m) => {
+  const L = i18n(chatLang(msg), true);
+  const open = openClaims();
+  if (!m[1]) {
+    if (!open.length) return bot.sendMessage(msg.chat.id, L.t('claim.none'), HTML);
+    return sendLong(msg.chat.id, [
+      L.t('claim.title'),
+      ...open.map(({ draw, w }) => L.t('claim.line', {
+        round: roundRef(draw.pot, draw.roundId),
+        tier: tierName(w, L),
+        address: L.addr(w.winner.symbol, w.winner.from),
+        chain: w.winner.symbol,
+        date: L.date(w.claim.deadline),
+        code: w.claim.code
+      })),
+      '',
+      L.t('claim.usage')
+    ], HTML);
+  }
+  const found = open.find(c => c.w.claim.code === m[1].toLowerCase());
+  if (!found) return bot.sendMessage(msg.chat.id, L.t('claim.unknown', { code: m[1] }), HTML);
+  const { draw, w } = found;
+  if (Date.now() > w.claim.deadline) return bot.sendMessage(msg.chat.id, L.t('claim.expired', { code: w.claim.code, date: L.date(w.claim.deadline) }), HTML);
+  const chain = CHAINS[w.winner.symbol];
+  if (!m[2]) {
+    return bot.sendMessage(msg.chat.id, [
+      L.t('claim.sign', { tier: tierName(w, L), round: roundRef(draw.pot, draw.roundId), address: L.addr(chain.key, w.winner.from), chain: chain.key }),
+      '',
+      `<code>${L.esc(claimMessage(draw, w))}</code>`,
+      '',
+      L.t(`claim.how.${chain.type}`),
+      L.t('claim.other', { chain: chain.key }),
+      L.t('claim.send', { code: w.claim.code }),
+      L.t('claim.deadline', { date: L.date(w.claim.deadline) })
+    ].join('\n'), HTML);
+  }
+
+  const payTo = m[3] || w.winner.from;
+  if (!chain.isValidAddress(payTo)) return bot.sendMessage(msg.chat.id, L.t('claim.badAddress', { chain: chain.key }), HTML);
+  let method = null;
+  try { method = await chain.verifyMessage(w.winner.from, claimMessage(draw, w, payTo), m[2]); } catch (_) {}
+  if (!method) return bot.sendMessage(msg.chat.id, L.t('claim.badSignature', { address: L.addr(chain.key, w.winner.from), code: w.claim.code }), HTML);
+
+  Object.assign(w.claim, { claimedAt: Date.now(), payTo, method, by: msg.from.id });
+  saveState();
+  const ref = roundRef(draw.pot, draw.roundId);
+  await bot.sendMessage(msg.chat.id, L.t('claim.done', { tier: tierName(w, L), round: ref, amount: prizeAmountText(draw, w, L), address: L.addr(chain.key, payTo), chain: chain.key }), HTML);
+  await postToChannel(L =>
+    [
+      L.t('claim.posted', { pot: potName(draw.pot, L) }),
+      L.t('draw.round', { round: ref }),
+      L.t('claim.proof', { tier: tierName(w, L), address: L.addr(chain.key, w.winner.from), method }),
+      L.t('claim.payTo', { address: L.addr(chain.key, payTo) })
     ].join('\n')
   );
+  await notifyAdmins([
+    `Prize claimed: ${tierName(w)} of round ${ref}`,
+    `Pay ~${prizeAmountText(draw, w)} to ${payTo} on ${chain.key}`,
+    `Ownership of ${w.winner.from} proven with a ${method} signature.`,
+    '',
+    PROOF_AUTO ? 'The payout is picked up automatically once it confirms.' : `After you send, submit: /proofpaid ${chain.key} <tx>${draw.winners.length > 1 ? ` ${w.tier}` : ''}`
+  ].join('\n'));
 });
 
 bot.onText(/^\/target(?:@\w+)?$/i, (msg) => {
-  const pct = Math.min(100, Math.round(100 * grand.usdTotal / ROUND_TARGET_USD));
+  const L = i18n(chatLang(msg));
+  const entry = L.t('stats.entry', { usd: L.usd(ENTRY_USD), tol: L.pct(ENTRY_TOL) });
+  if (ROUND_MODE === 'per-chain') {
+    const lines = [entry];
+    for (const pot of potKeys()) {
+      const { text, pct } = potProgress(pot, L);
+      lines.push('', L.t('target.round', { round: roundRef(pot, currentRoundId(pot)) }), L.t('target.progress', { progress: text, pct: L.pct(pct / 100) }), ...deadlineLines(pot, L));
+      if (draws[pot]) lines.push(L.t(draws[pot].status === 'drawn' ? 'target.drawn' : 'target.committed', { arg: roundArg(pot, draws[pot].roundId) }));
+    }
+    return sendLong(msg.chat.id, lines);
+  }
+  const { pct } = potProgress(ALL_POT);
   bot.sendMessage(
     msg.chat.id,
     [
-      `USD Target: $${ROUND_TARGET_USD.toFixed(2)}`,
-      `Progress: $${grand.usdTotal.toFixed(2)} (${pct}%)`,
-      `Entry: $${ENTRY_USD.toFixed(2)} (+/- ${Math.round(ENTRY_TOL * 100)}%)`
+      L.t('pool.usdTarget', { target: L.usd(ROUND_TARGET_USD) }),
+      L.t('target.progressUsd', { usd: L.usd(potUsd(ALL_POT)), pct: L.pct(pct / 100) }),
+      entry,
+      ...deadlineLines(ALL_POT, L)
     ].join('\n')
   );
 });
 
 bot.onText(/^\/announce\s+(.+)/i, async (msg, m) => {
   if (!isAdmin(msg.from.id)) return;
-  await postToChannel(`Announcement\n${m[1].trim()}`);
+  await postToChannel(L => `${L.t('announce.title')}\n${L.esc(m[1].trim())}`);
   bot.sendMessage(msg.chat.id, 'Announced.');
 });
 
-bot.onText(/^\/setentryusd\s+([0-9]+(?:\.[0-9]+)?)$/i, (msg, m) => {
+bot.onText(/^\/setentryusd\s+([0-9]+(?:\.[0-9]+)?)$/i, async (msg, m) => {
+  if (!isAdmin(msg.from.id)) return;
+  const usd = Math.max(1, Number(m[1]));
+  await requestApproval(msg, 'setentryusd', { usd }, [`Change entry: $${ENTRY_USD.toFixed(2)} → $${usd.toFixed(2)}`]);
+});
+bot.onText(/^\/settargetusd\s+([0-9]+(?:\.[0-9]+)?)$/i, async (msg, m) => {
   if (!isAdmin(msg.from.id)) return;
-  ENTRY_USD = Math.max(1, Number(m[1]));
-  bot.sendMessage(msg.chat.id, `Entry set to $${ENTRY_USD.toFixed(2)} (effective now).`);
+  const usd = Math.max(ENTRY_USD, Number(m[1]));
+  await requestApproval(msg, 'settargetusd', { usd }, [`Change USD round target: $${ROUND_TARGET_USD.toFixed(2)} → $${usd.toFixed(2)}`]);
 });
-bot.onText(/^\/settargetusd\s+([0-9]+(?:\.[0-9]+)?)$/i, (msg, m) => {
+bot.onText(/^\/settarget\s+(\w+)\s+(\$?\s*[0-9]+(?:\.[0-9]+)?\s*(?:usd)?)$/i, async (msg, m) => {
   if (!isAdmin(msg.from.id)) return;
-  ROUND_TARGET_USD = Math.max(ENTRY_USD, Number(m[1]));
-  bot.sendMessage(msg.chat.id, `USD round target set to $${ROUND_TARGET_USD.toFixed(2)} (effective now).`);
+  const key = m[1].toUpperCase();
+  if (!CHAINS[key]) return bot.sendMessage(msg.chat.id, `Unknown chain. Use one of: ${COINS.join(', ')}`);
+  const target = parseTarget(m[2]);
+  if (!target) return bot.sendMessage(msg.chat.id, 'Use a native amount (0.05) or a USD amount ($1500 or 1500usd).');
+  await requestApproval(msg, 'settarget', { key, target }, [`Change ${key} pot target: ${amountText(key, potTarget(key).amount)} → ${amountText(key, target.amount)}`]);
 });
-bot.onText(/^\/settol\s+(0(\.\d+)?|0?\.\d+|0\.50|0\.5)$/i, (msg, m) => {
+bot.onText(/^\/settol\s+(0(\.\d+)?|0?\.\d+|0\.50|0\.5)$/i, async (msg, m) => {
   if (!isAdmin(msg.from.id)) return;
   const v = Number(m[1]);
   if (v < 0 || v > 0.5) return bot.sendMessage(msg.chat.id, 'Tolerance must be between 0.00 and 0.50');
-  ENTRY_TOL = v;
-  bot.sendMessage(msg.chat.id, `Entry tolerance set to ${(ENTRY_TOL * 100).toFixed(0)}% (effective now).`);
+  await requestApproval(msg, 'settol', { tol: v }, [`Change entry tolerance: ${(ENTRY_TOL * 100).toFixed(0)}% → ${(v * 100).toFixed(0)}%`]);
 });
-bot.onText(/^\/setpayout\s+(0\.\d+|1(\.0+)?)$/i, (msg, m) => {
+bot.onText(/^\/setpayout\s+([0-9.,/\s]+)$/i, async (msg, m) => {
   if (!isAdmin(msg.from.id)) return;
-  PAYOUT_PCT = Math.max(0.10, Math.min(1.00, Number(m[1])));
-  bot.sendMessage(msg.chat.id, `Payout set to ${Math.round(PAYOUT_PCT * 100)}% of pot (effective now).`);
+  const tiers = parseTiers(m[1]);
+  if (!tiers) return bot.sendMessage(msg.chat.id, 'Use one share (0.50) or tiers (0.35,0.10,0.05) adding up to between 0.10 and 1.00.');
+  await requestApproval(msg, 'setpayout', { tiers }, [`Change payout: ${tiersText()} → ${tiersText(tiers)} of pot`]);
 });
-bot.onText(/^\/restartround$/i, (msg) => {
+bot.onText(/^\/refunds(?:@\w+)?(?:\s+(all))?$/i, (msg, m) => {
   if (!isAdmin(msg.from.id)) return;
-  newRoundAll();
-  bot.sendMessage(msg.chat.id, `New USD round opened. Progress reset to $0 / $${ROUND_TARGET_USD.toFixed(2)}.`);
+  const list = m[1] ? ledger.slice(-50) : ledger.filter(refundable);
+  const held = m[1] ? [] : ledger.filter(r => r.status === 'credit' && !refundable(r));
+  if (!list.length && !held.length) return bot.sendMessage(msg.chat.id, m[1] ? 'Ledger is empty.' : 'No open refunds or credits.');
+  const line = r => {
+    const state = refundable(r) || (!m[1] && r.status === 'credit') ? '' : ` — ${r.status}${r.payoutTx ? ` ${r.payoutTx}` : ''}${r.creditedTo ? ` into ${r.creditedTo}` : ''}`;
+    return `#${r.id} ${r.chain} ${fmt(r.amount, 6)} ${r.asset} (~$${r.usd.toFixed(2)}) — ${r.reason} — from ${r.from} — TX ${r.txid}${state}`;
+  };
+  const lines = [m[1] ? 'Refund Ledger (last 50)' : 'Open Refunds', ...list.map(line)];
+  if (held.length) lines.push('', 'Held Credits (applied to the sender\'s next deposit, not refundable)', ...held.map(line));
+  const open = ledger.filter(refundable);
+  lines.push('', `Open total: $${open.reduce((a, r) => a + r.usd, 0).toFixed(2)} across ${open.length} item(s)`);
+  lines.push('Settle with: /refunded <txid|#ref> <refundTx>');
+  sendLong(msg.chat.id, lines);
 });
-bot.onText(/^\/proofpaid\s+(BTC|ETH|BNB|SOL)\s+(\S+)(?:\s+([0-9]*\.?[0-9]+))?$/i, async (msg, m) => {
+bot.onText(/^\/refunded(?:@\w+)?\s+(\S+)\s+(\S+)$/i, async (msg, m) => {
   if (!isAdmin(msg.from.id)) return;
-  const symbol = m[1].toUpperCase();
-  const txid = m[2];
-  const amount = m[3] ? Number(m[3]) : null;
-  await finalizeUsdProofManual(symbol, txid, amount);
-  await bot.sendMessage(msg.chat.id, 'Proof posted and round rotated.');
+  const ref = m[1].replace(/^#/, '');
+  const items = ledger.filter(r => refundable(r) && (r.txid === m[1] || (/^\d+$/.test(ref) && r.id === Number(ref))));
+  if (!items.length) return bot.sendMessage(msg.chat.id, 'No open refund matches that txid or ref. Held credits are not refundable while PARTIAL_CREDIT is on.');
+  for (const r of items) Object.assign(r, { status: 'settled', payoutTx: m[2], settledBy: msg.from.id, settledAt: Date.now() });
+  saveState();
+  const r = items[0];
+  await postToChannel(L =>
+    [
+      L.t('refund.sent'),
+      L.t('paid.chain', { chain: r.chain }),
+      L.t('refund.amount', { amount: items.map(i => `${L.num(i.amount, 6)} ${i.asset}`).join(' + '), usd: L.usd(items.reduce((a, i) => a + i.usd, 0)) }),
+      L.t('paid.to', { address: L.addr(r.chain, r.from) }),
+      L.t('refund.original', { txid: L.tx(r.chain, r.txid) }),
+      L.t('refund.tx', { txid: L.tx(r.chain, m[2]) })
+    ].join('\n')
+  );
+  bot.sendMessage(msg.chat.id, `Settled ${items.map(i => `#${i.id}`).join(', ')}.`);
+});
+bot.onText(/^\/restartround(?:\s+(\w+))?$/i, async (msg, m) => {
+  if (!isAdmin(msg.from.id)) return;
+  const pot = m[1] ? parsePot(m[1]) : null;
+  if (m[1] && !potKeys().includes(pot)) return bot.sendMessage(msg.chat.id, `No open pot for ${m[1]}. Pots: ${potKeys().join(', ')}`);
+  const pots = pot ? [pot] : potKeys();
+  await requestApproval(msg, 'restartround', { pot }, [
+    `Restart round ${pots.map(p => roundRef(p, currentRoundId(p))).join(', ')}`,
+    ...pots.map(p => `${roundRef(p, currentRoundId(p))}: ${potEntries(p).length} entries, ${potProgress(p).text}${draws[p] ? `, draw ${draws[p].status}` : ''}`)
+  ]);
 });
+async function findPayout(symbol, txid, tier) {
+  const draw = draws[potOf(symbol)];
+  const unpaid = unpaidWinners(draw);
+  if (!unpaid.length) return { error: `No drawn winner${ROUND_MODE === 'per-chain' ? ` on ${symbol}` : ''} is awaiting payout.` };
+  const candidates = tier ? unpaid.filter(w => w.tier === tier) : unpaid;
+  if (!candidates.length) return { error: `Prize tier ${tier} is not awaiting payout. Unpaid: ${unpaid.map(w => w.tier).join(', ')}` };
 
-async function postDailySummary() {
+  let failed;
+  for (const w of candidates) {
+    const check = await verifyPayout(symbol, txid, w, draw);
+    if (check.ok) return { draw, w, check };
+    if (!failed || check.toWinner) failed = check;
+  }
+  return { error: payoutProblemText('Payout verification failed', symbol, txid, failed) };
+}
+bot.onText(/^\/proofpaid\s+(\w+)\s+(\S+)(?:\s+#?(\d+))?$/i, async (msg, m) => {
+  if (!isAdmin(msg.from.id)) return;
+  const symbol = m[1].toUpperCase();
+  if (!CHAINS[symbol]) return bot.sendMessage(msg.chat.id, `Unknown chain. Use one of: ${COINS.join(', ')}`);
   try {
-    const btcInfo = await axios.get(`${RPC.BTC}/address/${ADDR.BTC}`, { timeout: 15000 }).then(r => r.data).catch(() => ({}));
-    const funded = (btcInfo?.chain_stats?.funded_txo_sum || 0);
-    const spent  = (btcInfo?.chain_stats?.spent_txo_sum || 0);
-    const btcTotal = (funded - spent) / 1e8;
-
-    const [ethWei, bnbWei, solLamports] = await Promise.all([
-      ADDR.ETH ? providerETH.getBalance(ADDR.ETH) : 0n,
-      ADDR.BNB ? providerBNB.getBalance(ADDR.BNB) : 0n,
-      ADDR.SOL ? solConn.getBalance(new PublicKey(ADDR.SOL), 'confirmed') : 0
+    const found = await findPayout(symbol, m[2], m[3] ? Number(m[3]) : null);
+    if (found.error) return bot.sendMessage(msg.chat.id, found.error);
+    const { draw, w, check } = found;
+    await requestApproval(msg, 'proofpaid', { symbol, txid: m[2], tier: w.tier }, [
+      `Record the ${tierName(w)} payout for round ${roundRef(draw.pot, draw.roundId)}`,
+      `Paid: ${paidText(check)} to ${payoutAddress(w)} on ${symbol}`,
+      `TX: ${m[2]} (verified on-chain)`
     ]);
+  } catch (e) {
+    console.error('Proofpaid error:', e?.message);
+    await bot.sendMessage(msg.chat.id, `Could not check ${m[2]} on ${symbol}: ${e?.message || e}. Try again later.`).catch(() => {});
+  }
+});
+
+const APPROVAL_ACTIONS = {
+  async restartround({ pot }, by, approvedBy) {
+    const pots = (pot ? [pot] : potKeys()).filter(p => potKeys().includes(p));
+    const closed = pots.map(p => roundRef(p, currentRoundId(p)));
+    for (const p of pots) newRound(p, 'restart');
+    await postToChannel(L =>
+      [
+        L.t('restart.title', { rounds: closed.join(', ') }),
+        approvedBy ? L.t('config.byApproved', { name: by.name, approver: approvedBy.name }) : L.t('config.by', { name: by.name }),
+        L.t('restart.history')
+      ].join('\n')
+    );
+    if (ROUND_MODE === 'combined') return `New USD round opened. Progress reset to $0 / $${ROUND_TARGET_USD.toFixed(2)}.`;
+    return ['New round opened. Progress reset:', ...pots.map(p => `${roundRef(p, currentRoundId(p))}: ${potProgress(p).text}`)].join('\n');
+  },
+  async setentryusd({ usd }, by, approvedBy) {
+    await changeConfig('entryUsd', usd, by, approvedBy);
+    return `Entry set to $${ENTRY_USD.toFixed(2)} (effective now).`;
+  },
+  async settargetusd({ usd }, by, approvedBy) {
+    await changeConfig('targetUsd', Math.max(ENTRY_USD, usd), by, approvedBy);
+    return `USD round target set to $${ROUND_TARGET_USD.toFixed(2)} (effective now${ROUND_MODE === 'per-chain' ? ' for chains without their own target' : ''}).`;
+  },
+  async settarget({ key, target }, by, approvedBy) {
+    await changeConfig(`target.${key}`, target, by, approvedBy);
+    return `${key} pot target set to ${amountText(key, target.amount)} (${ROUND_MODE === 'per-chain' ? 'effective now' : 'used when ROUND_MODE=per-chain'}).`;
+  },
+  async settol({ tol }, by, approvedBy) {
+    await changeConfig('entryTol', tol, by, approvedBy);
+    return `Entry tolerance set to ${(ENTRY_TOL * 100).toFixed(0)}% (effective now).`;
+  },
+  async setpayout({ tiers }, by, approvedBy) {
+    await changeConfig('prizeTiers', tiers, by, approvedBy);
+    return `Payout set to ${tiersText()} of pot (effective from the next draw).`;
+  },
+  async proofpaid({ symbol, txid, tier }) {
+    const found = await findPayout(symbol, txid, tier);
+    if (found.error) return found.error;
+    await finalizeProof(symbol, txid, found.check, found.w, found.draw);
+    const left = unpaidWinners(found.draw).length;
+    return `Payout for the ${tierName(found.w)} verified and proof posted.${left ? ` ${left} prize(s) still unpaid.` : ' Round rotated.'}`;
+  }
+};
+function openApprovals() {
+  const expired = approvals.filter(a => a.status === 'pending' && Date.now() - a.at > APPROVAL_TTL_MIN * 60 * 1000);
+  for (const a of expired) a.status = 'expired';
+  if (expired.length) saveState();
+  return approvals.filter(a => a.status === 'pending');
+}
+async function requestApproval(msg, action, args, summary) {
+  const by = adminRef(msg.from);
+  if (!TWO_ADMIN_APPROVAL || ADMIN_IDS.length < 2) return bot.sendMessage(msg.chat.id, await APPROVAL_ACTIONS[action](args, by, null));
+  const req = { id: (approvals[approvals.length - 1]?.id || 0) + 1, action, args, summary, by, status: 'pending', at: Date.now() };
+  approvals.push(req);
+  if (approvals.length > 100) approvals.splice(0, approvals.length - 100);
+  saveState();
+  await notifyAdmins(
+    [
+      `Approval needed #${req.id}`,
+      ...summary,
+      `Requested by: ${by.name}`,
+      '',
+      `Confirm with /approve ${req.id} or cancel with /reject ${req.id} (expires in ${APPROVAL_TTL_MIN} min).`
+    ].join('\n'),
+    by.id
+  );
+  bot.sendMessage(msg.chat.id, [`Request #${req.id} is waiting for a second admin.`, ...summary].join('\n'));
+}
+async function tellRequester(req, text) {
+  try { await bot.sendMessage(req.by.id, text, { disable_web_page_preview: true }); }
+  catch (e) { sendFailed('Admin DM', e); }
+}
+bot.onText(/^\/approve(?:@\w+)?(?:\s+#?(\d+))?$/i, async (msg, m) => {
+  if (!isAdmin(msg.from.id)) return;
+  const open = openApprovals();
+  if (!m[1]) {
+    if (!open.length) return bot.sendMessage(msg.chat.id, 'No pending approvals.');
+    return bot.sendMessage(msg.chat.id, ['Pending approvals', ...open.map(a => `#${a.id} ${a.summary[0]} — by ${a.by.name}`)].join('\n'));
+  }
+  const req = open.find(a => a.id === Number(m[1]));
+  if (!req) return bot.sendMessage(msg.chat.id, `No pending request #${m[1]} (it may have expired).`);
+  if (req.by.id === msg.from.id) return bot.sendMessage(msg.chat.id, 'A different admin has to approve this request.');
+  const approvedBy = adminRef(msg.from);
+  Object.assign(req, { status: 'approved', approvedBy, decidedAt: Date.now() });
+  saveState();
+  let reply;
+  try { reply = await APPROVAL_ACTIONS[req.action](req.args, req.by, approvedBy); }
+  catch (e) {
+    console.error('Approval error:', e?.message);
+    req.status = 'pending';
+    delete req.approvedBy;
+    delete req.decidedAt;
+    saveState();
+    return bot.sendMessage(msg.chat.id, `Request #${req.id} failed: ${e?.message || e}. It is still pending; fix the cause and /approve ${req.id} again, or /reject ${req.id}.`);
+  }
+  bot.sendMessage(msg.chat.id, `Request #${req.id} approved.\n${reply}`);
+  await tellRequester(req, `Your request #${req.id} was approved by ${approvedBy.name}.\n${reply}`);
+});
+bot.onText(/^\/reject(?:@\w+)?\s+#?(\d+)$/i, async (msg, m) => {
+  if (!isAdmin(msg.from.id)) return;
+  const req = openApprovals().find(a => a.id === Number(m[1]));
+  if (!req) return bot.sendMessage(msg.chat.id, `No pending request #${m[1]}.`);
+  const rejectedBy = adminRef(msg.from);
+  Object.assign(req, { status: 'rejected', rejectedBy, decidedAt: Date.now() });
+  saveState();
+  bot.sendMessage(msg.chat.id, `Request #${req.id} rejected.`);
+  if (req.by.id !== msg.from.id) await tellRequester(req, `Your request #${req.id} was rejected by ${rejectedBy.name}.`);
+});
+bot.onText(/^\/config(?:@\w+)?$/i, (msg) => {
+  const L = i18n(chatLang(msg));
+  const onOff = on => L.t(on ? 'common.on' : 'common.off');
+  const keys = Object.keys(CONFIG_KEYS).filter(k => !k.startsWith('target.') || ROUND_MODE === 'per-chain');
+  const lines = [
+    L.t('config.title'),
+    L.t('config.mode', { mode: L.t(`config.mode.${ROUND_MODE}`) }),
+    ...keys.map(k => {
+      const line = `${CONFIG_KEYS[k].label(L)}: ${CONFIG_KEYS[k].text(CONFIG_KEYS[k].get(), L)}`;
+      return k in configOverrides ? L.t('config.setByAdmin', { line }) : line;
+    }),
+    ROUND_DURATION_H
+      ? L.t('config.deadline', { hours: ROUND_DURATION_H, policy: L.t(`config.policy.${ROUND_DEADLINE_POLICY}`), min: ROUND_MIN_ENTRANTS })
+      : L.t('config.noDeadline'),
+    L.t('config.confirms', { list: Object.values(CHAINS).map(c => `${c.key} ${c.confirms}`).join(', ') }),
+    L.t('config.seed', { chain: DRAW_SEED_CHAIN, blocks: DRAW_DELAY_BLOCKS }),
+    L.t(PROOF_AUTO ? 'config.proofs.auto' : 'config.proofs.admin', { tol: L.pct(PAYOUT_TOL), sla: PAYOUT_SLA_H, every: PROOF_REMINDER_MIN }),
+    CLAIM_WINDOW_H ? L.t('config.claim', { hours: CLAIM_WINDOW_H }) : L.t('config.noClaim'),
+    WEEKLY_RECAP_UTC
+      ? L.t('config.dailyWeekly', { time: utcTimeText(DAILY_SUMMARY_UTC), weekly: utcTimeText(WEEKLY_RECAP_UTC) })
+      : L.t('config.daily', { time: utcTimeText(DAILY_SUMMARY_UTC) }),
+    L.t('config.partial', { state: onOff(PARTIAL_CREDIT) }),
+    L.t('config.approval', { state: onOff(TWO_ADMIN_APPROVAL && ADMIN_IDS.length > 1) })
+  ];
+  const recent = configLog.filter(c => CONFIG_KEYS[c.key]).slice(-5).reverse();
+  if (recent.length) lines.push('', L.t('config.recent'));
+  for (const c of recent) {
+    const k = CONFIG_KEYS[c.key];
+    const vars = { date: L.date(c.at), label: k.label(L), old: k.text(c.old, L), value: k.text(c.value, L), name: c.by.name, approver: c.approvedBy?.name };
+    lines.push(L.t(c.approvedBy ? 'config.logLineApproved' : 'config.logLine', vars));
+  }
+  sendLong(msg.chat.id, lines);
+});
+
+bot.onText(/^\/status(?:@\w+)?$/i, (msg) => {
+  if (!isAdmin(msg.from.id)) return;
+  const r = healthReport();
+  const lines = [`Status: ${r.ok ? 'OK' : 'DEGRADED'} (up ${countdownText(r.uptimeSec * 1000)})`, ''];
+  if (!r.watchers) lines.push('Watchers: OFF');
+  // Error texts can carry RPC URLs with API keys, so they stay out of /healthz and only show here.
+  for (const c of r.chains) {
+    const { lastError } = healthOf(c.chain);
+    lines.push(
+      `${c.chain}: ${c.problem ? `ALERT — ${c.problem}` : r.watchers ? 'OK' : 'not watched'}`,
+      `  scanned ${c.scannedHeight ?? 'n/a'} / tip ${c.tip ?? 'n/a'}${c.lagBlocks != null ? ` (${c.lagBlocks} behind)` : ''}, last scan ${c.lagSec == null ? 'never' : `${c.lagSec}s ago`}`,
+      `  RPC errors: ${c.rpcErrors}${lastError ? ` (last: ${lastError.message})` : ''}${c.backoffSec ? `, retry in ${c.backoffSec}s` : ''}`,
+      ...(c.batchBlocks ? [`  batch: ${c.batchBlocks} block(s) per fetch`] : [])
+    );
+  }
+  const ages = Object.entries(r.priceAgeSec).map(([sym, age]) => `${sym} ${age == null ? 'none' : `${age}s`}`);
+  lines.push(
+    '',
+    `Price age: ${ages.join(', ')}`,
+    ...(r.stalePrices.length ? [`Stale prices: ${r.stalePrices.join(', ')} (deposits wait for a fresh quote)`] : []),
+    `Price source errors: ${Object.entries(r.priceErrors).map(([p, n]) => `${p} ${n}`).join(', ')}`,
+    `Telegram send failures: ${r.telegramErrors}`,
+    `Draw check errors: ${r.drawErrors}`
+  );
+  sendLong(msg.chat.id, lines);
+});
 
-    const ethTotal = Number(ethers.formatEther(ethWei || 0n));
-    const bnbTotal = Number(ethers.formatEther(bnbWei || 0n));
-    const solTotal = (solLamports || 0) / 1e9;
+function simTarget(msg, m) {
+  const chain = CHAINS[m[1].toUpperCase()];
+  if (!chain) {
+    bot.sendMessage(msg.chat.id, `Unknown chain. Use one of: ${COINS.join(', ')}`);
+    return null;
+  }
+  const asset = (m[4] || chain.native).toUpperCase();
+  if (asset !== chain.native && !chain.tokens.some(t => t.symbol === asset)) {
+    bot.sendMessage(msg.chat.id, `${chain.key} accepts ${[chain.native, ...chain.tokens.map(t => t.symbol)].join(', ')}`);
+    return null;
+  }
+  return { chain, asset, amount: Number(m[2]), other: m[3] };
+}
+if (SIMULATION) {
+  bot.onText(/^\/simdeposit(?:@\w+)?\s+(\w+)\s+([0-9]+(?:\.[0-9]+)?)\s+(\S+)(?:\s+(\w+))?$/i, (msg, m) => {
+    if (!isAdmin(msg.from.id)) return;
+    const sim = simTarget(msg, m);
+    if (!sim) return;
+    const txid = sim.chain.send({ from: sim.other, to: sim.chain.address, asset: sim.asset, amount: sim.amount });
+    bot.sendMessage(msg.chat.id, `Simulated deposit of ${fmt(sim.amount)} ${sim.asset} on ${sim.chain.key} from ${sim.other}\nTX: ${txid}\nPicked up on the next ${sim.chain.key} poll.`);
+  });
+  bot.onText(/^\/simpay(?:@\w+)?\s+(\w+)\s+([0-9]+(?:\.[0-9]+)?)\s+(\S+)(?:\s+(\w+))?$/i, (msg, m) => {
+    if (!isAdmin(msg.from.id)) return;
+    const sim = simTarget(msg, m);
+    if (!sim) return;
+    const txid = sim.chain.send({ from: sim.chain.address, to: sim.other, asset: sim.asset, amount: sim.amount });
+    bot.sendMessage(msg.chat.id, `Simulated payout of ${fmt(sim.amount)} ${sim.asset} on ${sim.chain.key} to ${sim.other}\nTX: ${txid}\nSubmit it with: /proofpaid ${sim.chain.key} ${txid}`);
+  });
+  bot.onText(/^\/simblocks(?:@\w+)?\s+(\w+)(?:\s+(\d+))?$/i, (msg, m) => {
+    if (!isAdmin(msg.from.id)) return;
+    const chain = CHAINS[m[1].toUpperCase()];
+    if (!chain) return bot.sendMessage(msg.chat.id, `Unknown chain. Use one of: ${COINS.join(', ')}`);
+    const height = chain.mine(Math.min(1000, Number(m[2] || 1)));
+    bot.sendMessage(msg.chat.id, `${chain.key} tip is now #${height}.`);
+  });
+  bot.onText(/^\/simprice(?:@\w+)?\s+(\w+)\s+([0-9]+(?:\.[0-9]+)?)$/i, async (msg, m) => {
+    if (!isAdmin(msg.from.id)) return;
+    const sym = m[1].toUpperCase();
+    SIM_PRICES[sym] = Number(m[2]);
+    // A zero price withdraws the quote at once, as if every source had failed past PRICE_MAX_AGE_SEC.
+    if (!SIM_PRICES[sym]) delete priceQuotes[sym];
+    await retryPrices();
+    bot.sendMessage(msg.chat.id, SIM_PRICES[sym] ? `Simulated ${sym} price: $${fmt(SIM_PRICES[sym], 6)}` : `Simulated ${sym} price withdrawn.`);
+  });
+  bot.onText(/^\/simreorg(?:@\w+)?\s+(\w+)(?:\s+(\d+))?$/i, async (msg, m) => {
+    if (!isAdmin(msg.from.id)) return;
+    const chain = CHAINS[m[1].toUpperCase()];
+    if (!chain) return bot.sendMessage(msg.chat.id, `Unknown chain. Use one of: ${COINS.join(', ')}`);
+    const depth = Math.max(1, Math.min(100, Number(m[2] || 1)));
+    chain.reorg(depth);
+    await recheckTick();
+    bot.sendMessage(msg.chat.id, `${chain.key}: last ${depth} block(s) replaced; their transactions are back in the mempool and entries were rechecked.`);
+  });
+  bot.onText(/^\/simsign(?:@\w+)?\s+link\s+(\w+)\s+(\S+)(?:\s+(\d+))?$/i, (msg, m) => {
+    if (!isAdmin(msg.from.id)) return;
+    const chain = m[1].toUpperCase();
+    const uid = m[3] || msg.from.id;
+    bot.sendMessage(msg.chat.id, `Simulated signature by ${m[2]}:\n${simSignature(m[2], linkMessage(uid, chain, m[2]))}\nLink with: /link ${chain} ${m[2]} <signature> (as user ${uid})`);
+  });
+  bot.onText(/^\/simsign(?:@\w+)?\s+(?!link\s)(\S+)(?:\s+(\S+))?$/i, (msg, m) => {
+    if (!isAdmin(msg.from.id)) return;
+    const found = openClaims().find(c => c.w.claim.code === m[1].toLowerCase());
+    if (!found) return bot.sendMessage(msg.chat.id, `No open claim with code ${m[1]}.`);
+    const { draw, w } = found;
+    const payTo = m[2] || w.winner.from;
+    bot.sendMessage(msg.chat.id, `Simulated signature by ${w.winner.from}:\n${simSignature(w.winner.from, claimMessage(draw, w, payTo))}\nClaim with: /claim ${w.claim.code} <signature>${m[2] ? ` ${payTo}` : ''}`);
+  });
+}
 
+async function postDailySummary() {
+  try {
+    const L = i18n(channelLang());
     await postToChannel(
       [
-        'Daily Summary',
-        `BTC: ${fmt(btcTotal)} BTC`,
-        `ETH: ${fmt(ethTotal, 6)} ETH`,
-        `BNB: ${fmt(bnbTotal, 6)} BNB`,
-        `SOL: ${fmt(solTotal, 6)} SOL`,
+        L.t('daily.title'),
+        ...(await poolBalanceLines(L)),
+        '',
+        ...(ROUND_MODE === 'per-chain'
+          ? [L.t('daily.pots', { usd: L.usd(ENTRY_USD) }), ...potLines(L)]
+          : [L.t('daily.round', { progress: potProgress(ALL_POT, L).text, usd: L.usd(ENTRY_USD) }), ...deadlineLines(ALL_POT, L)])
+      ].join('\n')
+    );
+  } catch (e) { console.error('Daily summary error:', e?.message); }
+}
+async function postWeeklyRecap() {
+  const since = Date.now() - 7 * 24 * 3600 * 1000;
+  const closed = roundHistory.filter(r => r.closedAt >= since);
+  const winners = closed.filter(r => r.status === 'paid').flatMap(r => roundWinners(r).map(w => [r, w]));
+  const count = status => closed.filter(r => r.status === status).length;
+  await postToChannel(L =>
+    [
+      L.t('weekly.title', { from: L.day(since), to: L.day(Date.now()) }),
+      L.t('weekly.closed', { count: closed.length, paid: count('paid'), refunded: count('refunded'), cancelled: count('cancelled') }),
+      L.t('weekly.pots', { usd: L.usd(closed.reduce((a, r) => a + Number(r.totalUsd), 0)) }),
+      L.t('weekly.paid', { usd: L.usd(winners.reduce((a, [, w]) => a + Number(w.payout?.paidUsd || 0), 0)), count: winners.length }),
+      ...winners.map(([r, w]) => L.t('weekly.line', { round: roundRef(r.pot || ALL_POT, r.roundId), address: L.addr(w.winner.symbol, w.winner.from), amount: paidText(w.payout, L) })),
+      '',
+      L.t('weekly.now'),
+      ...potLines(L)
+    ].join('\n')
+  );
+}
+async function remindUnpaid() {
+  for (const draw of potKeys().map(p => draws[p])) {
+    const unpaid = payableWinners(draw);
+    if (!unpaid.length) continue;
+    const since = Math.min(...unpaid.map(w => w.claim?.claimedAt || draw.drawnAt));
+    if (Date.now() - since < PROOF_REMINDER_MIN * 60 * 1000) continue;
+    const ageH = (Date.now() - since) / 3600000;
+    const ref = roundRef(draw.pot, draw.roundId);
+    const prizes = unpaid.map(w => `${tierName(w)} — ~${prizeAmountText(draw, w)} to ${payoutAddress(w)} on ${w.winner.symbol} (entry TX ${w.winner.txid})`);
+    await notifyAdmins(
+      [
+        'Reminder: unpaid winner',
+        `Round ${ref} (${CLAIM_WINDOW_H ? 'claimed' : 'drawn'} ${countdownText(Date.now() - since)} ago, SLA ${PAYOUT_SLA_H}h)`,
+        ...prizes,
         '',
-        `USD Round: $${grand.usdTotal.toFixed(2)} / $${ROUND_TARGET_USD.toFixed(2)} (Entry $${ENTRY_USD.toFixed(2)})`
+        PROOF_AUTO ? 'The payout is picked up automatically once it confirms.' : 'After you send, submit: /proofpaid <chain> <tx> [tier]'
+      ].join('\n')
+    );
+    const escalations = draw.escalations || 0;
+    if (ageH < PAYOUT_SLA_H * (escalations + 1)) continue;
+    draw.escalations = escalations + 1;
+    saveState();
+    await postToChannel(L =>
+      [
+        L.t('overdue.title', { round: ref }),
+        ...unpaid.map(w => L.t('overdue.prize', { tier: tierName(w, L), amount: prizeAmountText(draw, w, L), address: L.addr(w.winner.symbol, payoutAddress(w)), chain: w.winner.symbol })),
+        L.t('overdue.body', { hours: Math.floor(ageH), sla: PAYOUT_SLA_H }),
+        L.t('overdue.soon')
       ].join('\n')
     );
-  } catch (_) {}
+  }
+}
+function utcSlot({ day, hour, minute }) {
+  return now => {
+    const d = new Date(now);
+    let slot = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), hour, minute);
+    if (slot > now) slot -= 24 * 3600 * 1000;
+    if (day != null) slot -= ((new Date(slot).getUTCDay() - day + 7) % 7) * 24 * 3600 * 1000;
+    return slot;
+  };
+}
+const SCHEDULE = [
+  { name: 'daily-summary', slot: utcSlot(DAILY_SUMMARY_UTC), run: postDailySummary },
+  ...(WEEKLY_RECAP_UTC ? [{ name: 'weekly-recap', slot: utcSlot(WEEKLY_RECAP_UTC), run: postWeeklyRecap }] : []),
+  { name: 'payout-reminders', slot: now => now - (now % (PROOF_REMINDER_MIN * 60 * 1000)), run: remindUnpaid }
+];
+async function runSchedule() {
+  const now = Date.now();
+  for (const job of SCHEDULE) {
+    const slot = job.slot(now);
+    const last = scheduleRuns[job.name];
+    if (last >= slot) continue;
+    scheduleRuns[job.name] = slot;
+    saveState();
+    if (last === undefined) continue;
+    try { await job.run(); }
+    catch (e) { console.error(`Scheduled ${job.name} error:`, e?.message); }
+  }
 }
-setInterval(postDailySummary, 24 * 60 * 60 * 1000);
+setInterval(serial(runSchedule), 60000);
 
-refreshPrices().catch(() => {});
+const retryPrices = serial(async () => {
+  await refreshPrices();
+  await retryPendingDeposits();
+});
+setInterval(retryPrices, 60000);
+retryPrices().catch(() => {});
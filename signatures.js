@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { PublicKey } = require('@solana/web3.js');
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+function bech32Decode(address) {
+  const s = String(address).toLowerCase();
+  const sep = s.lastIndexOf('1');
+  if (sep < 1 || s.length > 90 || (address !== s && address !== s.toUpperCase())) return null;
+  const hrp = s.slice(0, sep);
+  const data = [...s.slice(sep + 1)].map(c => BECH32_CHARSET.indexOf(c));
+  if (data.length < 7 || data.includes(-1)) return null;
+  let chk = 1;
+  for (const v of [...[...hrp].map(c => c.charCodeAt(0) >> 5), 0, ...[...hrp].map(c => c.charCodeAt(0) & 31), ...data]) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) if ((top >> i) & 1) chk ^= BECH32_GEN[i];
+  }
+  if (chk !== (data[0] ? 0x2bc830a3 : 1)) return null;
+  const program = [];
+  let acc = 0;
+  let bits = 0;
+  for (const v of data.slice(1, -6)) {
+    acc = ((acc << 5) | v) & 0xfff;
+    bits += 5;
+    if (bits >= 8) program.push((acc >> (bits -= 8)) & 0xff);
+  }
+  return { hrp, version: data[0], program: Buffer.from(program) };
+}
+function base58Check(address) {
+  try {
+    const raw = Buffer.from(ethers.getBytes(ethers.toBeHex(ethers.decodeBase58(address), 25)));
+    if (raw.findIndex(b => b !== 0) !== /^1*/.exec(address)[0].length) return null;
+    return dsha256(raw.subarray(0, 21)).subarray(0, 4).equals(raw.subarray(21)) ? { version: raw[0], hash: raw.subarray(1, 21) } : null;
+  } catch (_) { return null; }
+}
+function dsha256(buf) { return crypto.createHash('sha256').update(crypto.createHash('sha256').update(buf).digest()).digest(); }
+function hash160(buf) { return Buffer.from(ethers.getBytes(ethers.ripemd160(crypto.createHash('sha256').update(buf).digest()))); }
+function varint(n) { return n < 253 ? Buffer.from([n]) : Buffer.from([253, n & 0xff, n >> 8]); }
+function u32le(n) { const b = Buffer.alloc(4); b.writeUInt32LE(n); return b; }
+function recoverKeys(digest, r, s) {
+  return [27, 28].map(v => {
+    try { return Buffer.from(ethers.getBytes(ethers.SigningKey.computePublicKey(ethers.SigningKey.recoverPublicKey(digest, { r, s, v }), true))); }
+    catch (_) { return null; }
+  }).filter(Boolean);
+}
+function legacyMessageKeys(prefix, message, signature) {
+  const sig = Buffer.from(signature, 'base64');
+  if (sig.length !== 65 || sig[0] < 27 || sig[0] > 42) return [];
+  const msg = Buffer.from(message);
+  const digest = dsha256(Buffer.concat([varint(prefix.length), Buffer.from(prefix), varint(msg.length), msg]));
+  const v = 27 + ((sig[0] - 27) & 3);
+  const key = ethers.SigningKey.recoverPublicKey(digest, { r: ethers.hexlify(sig.subarray(1, 33)), s: ethers.hexlify(sig.subarray(33)), v });
+  return [ethers.SigningKey.computePublicKey(key, true), key].map(k => Buffer.from(ethers.getBytes(k)));
+}
+function keyMatchesAddress(address, keys) {
+  const segwit = bech32Decode(address);
+  if (segwit) return segwit.version === 0 && keys.some(k => hash160(k).equals(segwit.program));
+  const legacy = base58Check(address);
+  return !!legacy && keys.some(k => hash160(k).equals(legacy.hash) || hash160(Buffer.concat([Buffer.from([0, 20]), hash160(k)])).equals(legacy.hash));
+}
+function bip322Verify(address, message, signature) {
+  const segwit = bech32Decode(address);
+  if (segwit?.version !== 0 || segwit.program.length !== 20) return false;
+  const witness = Buffer.from(signature, 'base64');
+  const items = [];
+  let o = 1;
+  for (let i = 0; i < witness[0] && o < witness.length; i++) items.push(witness.subarray(o + 1, o += witness[o] + 1));
+  if (items.length !== 2 || o !== witness.length) return false;
+  const [der, key] = items;
+  if (der[der.length - 1] !== 1 || der[0] !== 0x30 || der[2] !== 2 || !hash160(key).equals(segwit.program)) return false;
+  const rLen = der[3];
+  const r = ethers.toBeHex(BigInt(`0x${der.subarray(4, 4 + rLen).toString('hex')}`), 32);
+  const s = ethers.toBeHex(BigInt(`0x${der.subarray(6 + rLen, 6 + rLen + der[5 + rLen]).toString('hex')}`), 32);
+
+  const tag = crypto.createHash('sha256').update('BIP0322-signed-message').digest();
+  const msgHash = crypto.createHash('sha256').update(tag).update(tag).update(message).digest();
+  const scriptPubKey = Buffer.concat([Buffer.from([0, 20]), segwit.program]);
+  const toSpend = Buffer.concat([
+    u32le(0), varint(1), Buffer.alloc(32), u32le(0xffffffff), Buffer.from([34, 0, 32]), msgHash, u32le(0),
+    varint(1), Buffer.alloc(8), varint(scriptPubKey.length), scriptPubKey, u32le(0)
+  ]);
+  const outpoint = Buffer.concat([dsha256(toSpend), u32le(0)]);
+  const sighash = dsha256(Buffer.concat([
+    u32le(0), dsha256(outpoint), dsha256(u32le(0)), outpoint,
+    Buffer.from([0x19, 0x76, 0xa9, 0x14]), segwit.program, Buffer.from([0x88, 0xac]),
+    Buffer.alloc(8), u32le(0), dsha256(Buffer.concat([Buffer.alloc(8), Buffer.from([1, 0x6a])])), u32le(0), u32le(1)
+  ]));
+  return recoverKeys(sighash, r, s).some(k => k.equals(key));
+}
+function signatureBytes(signature) {
+  if (/^(0x)?[0-9a-f]{128}$/i.test(signature)) return Buffer.from(signature.replace(/^0x/i, ''), 'hex');
+  if (/^[1-9A-HJ-NP-Za-km-z]+$/.test(signature)) {
+    try { return Buffer.from(ethers.getBytes(ethers.toBeHex(ethers.decodeBase58(signature), 64))); } catch (_) { return null; }
+  }
+  return Buffer.from(signature, 'base64');
+}
+function ed25519Verify(address, message, signature) {
+  const sig = signatureBytes(signature);
+  if (sig?.length !== 64) return false;
+  const key = crypto.createPublicKey({ key: Buffer.concat([Buffer.from('302a300506032b6570032100', 'hex'), new PublicKey(address).toBuffer()]), format: 'der', type: 'spki' });
+  return crypto.verify(null, Buffer.from(message), key, sig);
+}
+
+module.exports = { bech32Decode, base58Check, legacyMessageKeys, keyMatchesAddress, bip322Verify, ed25519Verify };
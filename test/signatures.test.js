@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { ethers } = require('ethers');
+const { PublicKey } = require('@solana/web3.js');
+const { bech32Decode, base58Check, legacyMessageKeys, keyMatchesAddress, bip322Verify, ed25519Verify } = require('../signatures');
+
+const BTC_PREFIX = 'Bitcoin Signed Message:\n';
+// BIP-322 test vectors: the P2WPKH address of WIF L3VFeEujGtevx9w18HD1fhRbCH67Az2dpCymeRE1SoPK6XQtaN2k.
+const BIP322_ADDRESS = 'bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l';
+const BIP322_HELLO = 'AkcwRAIgZRfIY3p7/DoVTty6YZbWS71bc5Vct9p9Fia83eRmw2QCICK/ENGfwLtptFluMGs2KsqoNSk89pO7F29zJLUx9a/sASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI=';
+const BIP322_EMPTY = 'AkcwRAIgM2gBAQqvZX15ZiysmKmQpDrG83avLIT492QBzLnQIxYCIBaTpOaD20qRlEylyxFSeEA2ba9YOixpX8z46TSDtS40ASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI=';
+
+test('BIP-322 simple signatures match the spec vectors', () => {
+  assert.equal(bip322Verify(BIP322_ADDRESS, 'Hello World', BIP322_HELLO), true);
+  assert.equal(bip322Verify(BIP322_ADDRESS, '', BIP322_EMPTY), true);
+  assert.equal(bip322Verify(BIP322_ADDRESS, 'Hello World', BIP322_EMPTY), false);
+  assert.equal(bip322Verify(BIP322_ADDRESS, '', BIP322_HELLO), false);
+  assert.equal(bip322Verify('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', 'Hello World', BIP322_HELLO), false);
+});
+
+test('legacy signmessage signatures recover the signing key', () => {
+  // Bitcoin Core rpc_signmessage.py: signmessagewithprivkey for cUeKHd5orzT3mz8P9pxyREHfsWtVfgsfDjiZZBcjUBAaGk1BTj7N.
+  const core = 'INbVnW4e6PeRmsv2Qgu8NuopvrVjkcxob+sX8OcZG0SALhWybUjzMLPdAsXI46YZGb0KQTRii+wWIQzRpG/U+S0=';
+  const keys = legacyMessageKeys(BTC_PREFIX, 'This is just a test message', core);
+  assert.equal(keyMatchesAddress('mpLQjfK79b7CCV4VMJWEWAj5Mpx8Up5zxB', keys), true);
+  assert.equal(keyMatchesAddress('mpLQjfK79b7CCV4VMJWEWAj5Mpx8Up5zxB', legacyMessageKeys(BTC_PREFIX, 'This is just a test message.', core)), false);
+
+  // The same key as the BIP-322 vectors, signed as P2PKH (header 31+) and as native SegWit (header 39+).
+  const p2pkh = 'IOW2xi+ebJLeBtr674l4QH76dqDoVjLV80R9EFKFQX5rBrlCXPIZaYs8Yuayg0ZqjyiCbLy9pzZIS7JWT65/nsU=';
+  const segwit = 'KOW2xi+ebJLeBtr674l4QH76dqDoVjLV80R9EFKFQX5rBrlCXPIZaYs8Yuayg0ZqjyiCbLy9pzZIS7JWT65/nsU=';
+  assert.equal(keyMatchesAddress('14vV3aCHBeStb5bkenkNHbe2YAFinYdXgc', legacyMessageKeys(BTC_PREFIX, 'Hello World', p2pkh)), true);
+  assert.equal(keyMatchesAddress(BIP322_ADDRESS, legacyMessageKeys(BTC_PREFIX, 'Hello World', segwit)), true);
+  assert.equal(keyMatchesAddress(BIP322_ADDRESS, legacyMessageKeys('Litecoin Signed Message:\n', 'Hello World', segwit)), false);
+  assert.deepEqual(legacyMessageKeys(BTC_PREFIX, 'Hello World', 'not a signature'), []);
+});
+
+test('bech32 decoding checks the checksum, case and witness version', () => {
+  const v0 = bech32Decode('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4');
+  assert.equal(v0.hrp, 'bc');
+  assert.equal(v0.version, 0);
+  assert.equal(v0.program.toString('hex'), '751e76e8199196d454941c45d1b3a323f1433bd6');
+  assert.equal(bech32Decode('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0').version, 1);
+  assert.equal(bech32Decode('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5'), null);
+  assert.equal(bech32Decode('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kV8f3t4'), null);
+  assert.equal(bech32Decode('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3b4'), null);
+});
+
+test('base58check decoding checks the checksum and leading zeros', () => {
+  const p2pkh = base58Check('14vV3aCHBeStb5bkenkNHbe2YAFinYdXgc');
+  assert.equal(p2pkh.version, 0);
+  assert.equal(base58Check('mpLQjfK79b7CCV4VMJWEWAj5Mpx8Up5zxB').version, 0x6f);
+  assert.equal(base58Check('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy').version, 5);
+  assert.equal(base58Check('14vV3aCHBeStb5bkenkNHbe2YAFinYdXgd'), null);
+  assert.equal(base58Check('114vV3aCHBeStb5bkenkNHbe2YAFinYdXgc'), null);
+  assert.equal(base58Check('0OIl'), null);
+});
+
+test('ed25519 signatures verify in base58, hex and base64', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const address = new PublicKey(publicKey.export({ format: 'der', type: 'spki' }).subarray(-32)).toBase58();
+  const sig = crypto.sign(null, Buffer.from('Vault50 claim'), privateKey);
+  assert.equal(ed25519Verify(address, 'Vault50 claim', ethers.encodeBase58(sig)), true);
+  assert.equal(ed25519Verify(address, 'Vault50 claim', sig.toString('hex')), true);
+  assert.equal(ed25519Verify(address, 'Vault50 claim', sig.toString('base64')), true);
+  assert.equal(ed25519Verify(address, 'Vault50 claim!', sig.toString('base64')), false);
+  assert.equal(ed25519Verify(address, 'Vault50 claim', sig.subarray(1).toString('base64')), false);
+});
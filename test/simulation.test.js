@@ -0,0 +1,316 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const BOT = path.join(__dirname, '..', 'deposit-bot.js');
+const ADMIN = 1;
+const CHANNEL = '-100';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function startBot(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [BOT], {
+    env: { PATH: process.env.PATH, SIMULATION: 'true', PORT: String(port), ADMIN_IDS: String(ADMIN), TELEGRAM_CHAT_ID: CHANNEL, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', d => { output += d; });
+  child.stderr.on('data', d => { output += d; });
+  const base = `http://127.0.0.1:${port}`;
+  let update = 0;
+  const sim = {
+    child,
+    log: () => output,
+    async send(text, from = ADMIN) {
+      const message = { message_id: ++update, date: Math.floor(Date.now() / 1000), chat: { id: from, type: 'private' }, from: { id: from, username: `user${from}` }, text };
+      const res = await fetch(`${base}/telegram`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ update_id: update, message }) });
+      assert.equal(res.status, 200);
+    },
+    async outbox(chat) {
+      const res = await fetch(`${base}/sim/outbox?chat=${encodeURIComponent(chat)}`);
+      return (await res.json()).messages;
+    },
+    async api(route) {
+      return (await fetch(`${base}${route}`)).json();
+    },
+    async waitFor(chat, match, ms = 15000) {
+      const until = Date.now() + ms;
+      while (Date.now() < until) {
+        const found = (await sim.outbox(chat).catch(() => [])).filter(m => match.test(m.text || ''));
+        if (found.length) return found[found.length - 1];
+        await new Promise(r => setTimeout(r, 100));
+      }
+      throw new Error(`No ${match} in chat ${chat}. Output:\n${output}`);
+    }
+  };
+  const until = Date.now() + 15000;
+  while (!/Listening on/.test(output)) {
+    if (child.exitCode != null || Date.now() > until) throw new Error(`Bot did not start:\n${output}`);
+    await new Promise(r => setTimeout(r, 50));
+  }
+  return sim;
+}
+
+async function stopBot(sim) {
+  sim.child.kill();
+  await new Promise(r => (sim.child.exitCode != null ? r() : sim.child.once('exit', r)));
+}
+
+test('a simulated round runs from deposits to a verified payout without touching DATA_FILE', { timeout: 60000 }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault50-sim-'));
+  const dataFile = path.join(dir, 'vault50.json');
+  const production = JSON.stringify({ rounds: { BTC: { id: 41, entries: [], startedAt: 1 } }, seen: ['real-tx'] });
+  fs.writeFileSync(dataFile, production);
+
+  const sim = await startBot({
+    DATA_FILE: dataFile,
+    CHAINS: 'BTC',
+    SIM_PRICES: 'BTC=50000',
+    ROUND_TARGET_USD: '100',
+    CLAIM_WINDOW_H: '0',
+    BTC_POLL_MS: '100',
+    DRAW_POLL_MS: '200'
+  });
+  try {
+    await sim.send('/simdeposit BTC 0.001 alice');
+    await sim.send('/simdeposit BTC 0.001 bob');
+    await sim.waitFor(CHANNEL, /Entry accepted/);
+
+    const won = await sim.waitFor(CHANNEL, /Winner Selected/);
+    const winner = /Winner address: (\S+)/.exec(won.text)[1];
+    assert.ok(['alice', 'bob'].includes(winner));
+    const round = await sim.api('/api/round');
+    assert.equal(round.roundId, 1, 'the simulation starts from round 1, not the snapshot in DATA_FILE');
+
+    const draw = await sim.api('/api/draws/1');
+    assert.equal(draw.check.ticketsHashMatches, true);
+    assert.equal(draw.check.matches, true);
+
+    const prize = draw.winners[0].payoutNative ?? draw.winners[0].payoutUsd / 50000;
+    await sim.send(`/simpay BTC ${prize} ${winner}`);
+    const txid = /TX: (\S+)/.exec((await sim.waitFor(String(ADMIN), /Simulated payout/)).text)[1];
+    await sim.send(`/simblocks BTC 1`);
+    await sim.send(`/proofpaid BTC ${txid}`);
+
+    const paid = await sim.waitFor(CHANNEL, /Payout Confirmed/);
+    assert.match(paid.text, new RegExp(txid));
+    const next = await sim.api('/api/round');
+    assert.equal(next.roundId, 2);
+  } finally {
+    await stopBot(sim);
+  }
+  assert.equal(fs.readFileSync(dataFile, 'utf8'), production);
+  assert.deepEqual(fs.readdirSync(dir), ['vault50.json']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('prize tiers with no distinct entry left are refunded to every entry at draw time', { timeout: 60000 }, async () => {
+  const sim = await startBot({
+    CHAINS: 'BTC',
+    SIM_PRICES: 'BTC=50000',
+    ROUND_TARGET_USD: '100',
+    PRIZE_TIERS: '0.3,0.2,0.1',
+    CLAIM_WINDOW_H: '0',
+    BTC_POLL_MS: '100',
+    DRAW_POLL_MS: '200'
+  });
+  try {
+    await sim.send('/simdeposit BTC 0.001 alice');
+    await sim.send('/simdeposit BTC 0.001 bob');
+
+    const won = await sim.waitFor(CHANNEL, /Winners Selected/);
+    assert.match(won.text, /1 prize tier\(s\) left unfilled/);
+    assert.match(won.text, /Refunds recorded: 2 \(refs #1–#2\)/);
+
+    await sim.send('/refunds');
+    const refunds = await sim.waitFor(String(ADMIN), /Open Refunds/);
+    assert.equal(refunds.text.match(/~\$5\.00\) — unclaimed-refund — from (alice|bob)/g).length, 2);
+    assert.match(refunds.text, /Open total: \$10\.00 across 2 item\(s\)/);
+  } finally {
+    await stopBot(sim);
+  }
+});
+
+test('an unfilled tier refunds a credited entry in its own deposit and in the credit it used up', { timeout: 60000 }, async () => {
+  const sim = await startBot({
+    CHAINS: 'BTC',
+    SIM_PRICES: 'BTC=50000',
+    ROUND_TARGET_USD: '100',
+    PRIZE_TIERS: '0.3,0.2,0.1',
+    PARTIAL_CREDIT: 'true',
+    CLAIM_WINDOW_H: '0',
+    BTC_POLL_MS: '100',
+    DRAW_POLL_MS: '200'
+  });
+  try {
+    await sim.send('/simdeposit BTC 0.0004 alice');
+    await sim.waitFor(CHANNEL, /credited/);
+    await sim.send('/simdeposit BTC 0.0006 alice');
+    await sim.waitFor(CHANNEL, /Entry accepted/);
+    await sim.send('/simdeposit BTC 0.001 bob');
+
+    const won = await sim.waitFor(CHANNEL, /Winners Selected/);
+    assert.match(won.text, /Refunds recorded: 3/);
+
+    await sim.send('/refunds');
+    const refunds = (await sim.waitFor(String(ADMIN), /Open Refunds/)).text;
+    assert.match(refunds, /0\.00006 BTC \(~\$3\.00\) — unclaimed-refund — from alice/);
+    assert.match(refunds, /0\.00004 BTC \(~\$2\.00\) — unclaimed-refund — from alice/);
+    assert.match(refunds, /0\.0001 BTC \(~\$5\.00\) — unclaimed-refund — from bob/);
+    assert.match(refunds, /Open total: \$10\.00 across 3 item\(s\)/);
+  } finally {
+    await stopBot(sim);
+  }
+});
+
+test('deposits turn into tickets within the tolerance and the rest is recorded for refund', { timeout: 60000 }, async () => {
+  const sim = await startBot({ CHAINS: 'BTC', SIM_PRICES: 'BTC=50000', ROUND_TARGET_USD: '1000', BTC_POLL_MS: '100', DRAW_POLL_MS: '200' });
+  try {
+    await sim.send('/simdeposit BTC 0.00096 alice');
+    await sim.waitFor(CHANNEL, /Entry accepted/);
+    await sim.send('/simdeposit BTC 0.00204 bob');
+    await sim.waitFor(CHANNEL, /Tickets: 2/);
+    await sim.send('/simdeposit BTC 0.0003 carol');
+    await sim.waitFor(CHANNEL, /did not match entry rule/);
+
+    const { entries } = await sim.api('/api/entries');
+    assert.deepEqual(entries.map(e => [e.from, e.tickets, e.usd]), [['alice', 1, 48], ['bob', 2, 100]]);
+    assert.equal((await sim.api('/api/round')).totalUsd, 148);
+
+    await sim.send('/refunds');
+    const refunds = (await sim.waitFor(String(ADMIN), /Open Refunds/)).text;
+    assert.match(refunds, /~\$2\.00\) — remainder — from bob/);
+    assert.match(refunds, /~\$15\.00\) — no-match — from carol/);
+  } finally {
+    await stopBot(sim);
+  }
+});
+
+test('partial credits count toward a native per-chain target until the round closes', { timeout: 60000 }, async () => {
+  const sim = await startBot({
+    CHAINS: 'ETH',
+    ROUND_MODE: 'per-chain',
+    ETH_TARGET: '0.05',
+    PARTIAL_CREDIT: 'true',
+    SIM_PRICES: 'ETH=2000',
+    ETH_POLL_MS: '100',
+    DRAW_POLL_MS: '200'
+  });
+  try {
+    await sim.send('/simdeposit ETH 0.01 alice');
+    assert.match((await sim.waitFor(CHANNEL, /credited/)).text, /\$20\.00/);
+    await sim.send('/simdeposit ETH 0.015 alice');
+    assert.match((await sim.waitFor(CHANNEL, /Entry accepted/)).text, /Progress: 0\.025 ETH \/ 0\.05 ETH/);
+    await sim.send('/simdeposit ETH 0.025 bob');
+
+    const commit = await sim.waitFor(CHANNEL, /Target Reached, Draw Committed/);
+    assert.match(commit.text, /Total tickets: 2/);
+    assert.match(commit.text, /Collected: 0\.05 ETH \(~\$100\.00\)/);
+  } finally {
+    await stopBot(sim);
+  }
+});
+
+test('a deposit without a fresh price waits in the queue and enters once a price returns', { timeout: 60000 }, async () => {
+  const sim = await startBot({ CHAINS: 'BTC', SIM_PRICES: 'BTC=50000', ROUND_TARGET_USD: '1000', BTC_POLL_MS: '100', DRAW_POLL_MS: '200' });
+  try {
+    await sim.send('/simprice BTC 0');
+    await sim.waitFor(String(ADMIN), /price withdrawn/);
+    await sim.send('/simdeposit BTC 0.001 alice');
+    await sim.waitFor(CHANNEL, /no fresh price/);
+    await sim.send('/simdeposit BTC 0.001 bob');
+    await new Promise(r => setTimeout(r, 500));
+    assert.equal((await sim.outbox(CHANNEL)).filter(m => /no fresh price/.test(m.text)).length, 2);
+    assert.deepEqual((await sim.api('/api/entries')).entries, []);
+
+    await sim.send('/simprice BTC 50000');
+    await sim.waitFor(String(ADMIN), /Simulated BTC price: \$50000/);
+    const { entries } = await sim.api('/api/entries');
+    assert.deepEqual(entries.map(e => [e.from, e.tickets, e.usd]).sort(), [['alice', 1, 50], ['bob', 1, 50]]);
+    assert.equal((await sim.outbox(CHANNEL)).filter(m => /Entry accepted/.test(m.text)).length, 2);
+  } finally {
+    await stopBot(sim);
+  }
+});
+
+test('a reorged entry is rolled back and counted again once its transaction is mined anew', { timeout: 60000 }, async () => {
+  const sim = await startBot({ CHAINS: 'BTC', SIM_PRICES: 'BTC=50000', ROUND_TARGET_USD: '1000', BTC_POLL_MS: '100', DRAW_POLL_MS: '200' });
+  try {
+    await sim.send('/simdeposit BTC 0.001 alice');
+    await sim.waitFor(CHANNEL, /Entry accepted/);
+    const [before] = (await sim.api('/api/entries')).entries;
+
+    await sim.send('/simreorg BTC 3');
+    await sim.waitFor(CHANNEL, /Entry rolled back/);
+    const until = Date.now() + 15000;
+    let entries = [];
+    while (Date.now() < until && !entries.length) {
+      entries = (await sim.api('/api/entries')).entries;
+      await new Promise(r => setTimeout(r, 100));
+    }
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].txid, before.txid);
+    assert.notEqual(entries[0].block.hash, before.block.hash);
+    assert.equal((await sim.api('/api/round')).totalUsd, 50);
+  } finally {
+    await stopBot(sim);
+  }
+});
+
+test('the deadline refunds a short round under the refund policy', { timeout: 60000 }, async () => {
+  const sim = await startBot({
+    CHAINS: 'BTC',
+    SIM_PRICES: 'BTC=50000',
+    ROUND_TARGET_USD: '1000',
+    ROUND_DURATION_H: '0.001',
+    ROUND_DEADLINE_POLICY: 'refund',
+    BTC_POLL_MS: '100',
+    DRAW_POLL_MS: '200'
+  });
+  try {
+    await sim.send('/simdeposit BTC 0.001 alice');
+    await sim.waitFor(CHANNEL, /Entry accepted/);
+    await sim.waitFor(CHANNEL, /closed at the deadline/);
+    assert.equal((await sim.api('/api/round')).roundId, 2);
+
+    await sim.send('/refunds');
+    assert.match((await sim.waitFor(String(ADMIN), /Open Refunds/)).text, /~\$50\.00\) — round-refund — from alice/);
+  } finally {
+    await stopBot(sim);
+  }
+});
+
+test('the deadline commits a draw short of the target under the draw policy', { timeout: 60000 }, async () => {
+  const sim = await startBot({
+    CHAINS: 'BTC',
+    SIM_PRICES: 'BTC=50000',
+    ROUND_TARGET_USD: '1000',
+    ROUND_DURATION_H: '0.001',
+    ROUND_DEADLINE_POLICY: 'draw',
+    ROUND_MIN_ENTRANTS: '2',
+    BTC_POLL_MS: '100',
+    DRAW_POLL_MS: '200'
+  });
+  try {
+    await sim.send('/simdeposit BTC 0.001 alice');
+    await sim.send('/simdeposit BTC 0.001 bob');
+    const commit = await sim.waitFor(CHANNEL, /Deadline Reached, Draw Committed/);
+    assert.match(commit.text, /Total tickets: 2/);
+  } finally {
+    await stopBot(sim);
+  }
+});